@@ -10,10 +10,38 @@
  *
  * Features:
  * - Concurrent deletions with separate limits for orgs (5) and users (40)
- * - Token bucket rate limiters (separate for orgs and users)
+ * - Token bucket rate limiters (separate for orgs, users and reads) that slow
+ *   down on throttling, honor Retry-After and recover automatically
+ * - Organization and user phases run side by side with a combined progress display
+ * - Jittered retries for rate limits, 5xx errors, timeouts and connection resets
  * - Real-time visual progress bar with live metrics
  * - Dry run mode for safe testing
  * - Debug mode for troubleshooting
+ * - Checkpoint journal so interrupted runs can be resumed
+ * - Pre-deletion snapshots with an organization restore command
+ * - Explicit ID lists (CSV, newline-delimited or JSON) as deletion targets
+ * - Safety guards: protected allowlist, max-delete cap and typed confirmation
+ * - Membership-aware cascade to exclusive members, and orphaned user cleanup
+ * - Cleanup of the SSO connections, directories, domains and pending
+ *   invitations of deleted organizations, before the organizations themselves
+ * - Machine-readable audit report (JSON or CSV) for every run
+ * - Retry of the failures recorded in a previous report at a slower rate
+ * - Named environment profiles (.workos-cleanup.json) selected with --profile
+ * - Seed command that creates synthetic orgs and users and writes a manifest
+ * - Inspect command with a per-day/week/month histogram and deletion estimate
+ * - Offline simulation against a fake WorkOS with injected 429s, 5xx and latency
+ * - Prometheus and JSON metrics endpoint for unattended runs (--metrics-port)
+ * - Plain progress lines outside a terminal and an NDJSON event stream (--output)
+ * - Graceful Ctrl-C/SIGTERM and --limit / --max-duration budgets with a partial summary
+ * - Watch command that enforces a retention age on an interval or cron schedule
+ * - Two-phase quarantine: mark entities, then sweep what stayed marked past a grace period
+ * - Post-run verification that deleted entities are really gone (--verify)
+ * - Interactive review to include or exclude matches before deleting (--interactive)
+ * - Listing cache per environment that only fetches what is new (--refresh, --no-cache)
+ *
+ * This file is the command-line interface. The deletion engine lives in
+ * lib/ and can be imported on its own (see lib/index.js):
+ *   import { createBulkDeleter } from './lib/index.js';
  *
  * Performance:
  * - Organizations: ~50 deletions per minute
@@ -25,80 +53,90 @@
  *   node delete-orgs.js --users <date>          Single date (orgs and users)
  *   node delete-orgs.js --users <start> <end>   Date range (orgs and users)
  *   node delete-orgs.js --dry-run <date>        Test without deleting
+ *   node delete-orgs.js --ids-file <path>       Delete the org/user IDs listed in a file
+ *   node delete-orgs.js --cascade-members <date> Orgs plus users who only belong to them
+ *   node delete-orgs.js --orphans               Users without any organization membership
+ *   node delete-orgs.js --connections --directories --domains --invitations <date>
+ *                                               Orgs plus their dependents
+ *   node delete-orgs.js --resume <journal>      Resume an interrupted run
+ *   node delete-orgs.js --limit 5000 --max-duration 15m ...  Stop cleanly at a budget
+ *   node delete-orgs.js --verify ...            Confirm every deletion afterwards
+ *   node delete-orgs.js --interactive ...       Review and pick the matches before deleting
+ *   node delete-orgs.js --refresh ...           List everything again instead of using the cache
+ *   node delete-orgs.js restore <snapshot>      Recreate organizations from a snapshot
+ *   node delete-orgs.js retry-failed <report>   Retry the failures listed in a report
+ *   node delete-orgs.js --profile <name> ...    Use a profile from .workos-cleanup.json
+ *   node delete-orgs.js seed <orgs> [users]     Create synthetic orgs and users
+ *   node delete-orgs.js inspect [filters]       Histogram of what the filters select
+ *   node delete-orgs.js watch --retention 7d --interval 1h ...  Keep deleting past a retention age
+ *   node delete-orgs.js mark [filters]          Mark entities for deletion (nothing is deleted)
+ *   node delete-orgs.js sweep --grace 14d [filters]  Delete what was marked more than 14 days ago
+ *   node delete-orgs.js unmark [filters]        Release marked entities
+ *   node delete-orgs.js --simulate <fixture> ... Rehearse any command against a fixture
+ *   node delete-orgs.js --metrics-port 9464 ... Serve live Prometheus/JSON metrics
+ *   node delete-orgs.js --output ndjson ...     One JSON event per line on stdout (for CI)
+ *
+ * Safety:
+ *   Entities in the protected list (.workos-protected.json or --protected) are
+ *   never selected. Deletion requires typing the match count unless --yes.
  *
  * Environment Variables:
- *   WORKOS_API_KEY           Your WorkOS API key (required)
+ *   WORKOS_API_KEY           Your WorkOS API key (required unless a profile names another variable)
  *   CONCURRENCY              Max concurrent user deletions (default: 40)
  *   MAX_REQUESTS_PER_SECOND  Max requests per second for user management (default: 40)
  */
 
 import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { format } from 'util';
 import { WorkOS } from '@workos-inc/node';
 import cliProgress from 'cli-progress';
-
-// Initialize WorkOS client with API key from environment variable
-const workos = new WorkOS(process.env.WORKOS_API_KEY);
+import { createBulkDeleter, getEntityName, getPhaseName, collectTargets, DEFAULT_LIMITS, DEPENDENT_TYPES } from './lib/bulk-deleter.js';
+import { TokenBucketRateLimiter, executeWithRateLimit } from './lib/rate-limiter.js';
+import { filterPredicate, combineFilters, parseFilterExpression, filterToString, isValidTimeZone, compileFilter, parseDuration, MARK_METADATA_KEY } from './lib/filters.js';
+import { RunJournal } from './lib/journal.js';
+import { loadIdsFile, loadFailuresReport, writeIdsFile } from './lib/id-lists.js';
+import { loadProtectedList, createProtectedList, mergeProtectedLists } from './lib/protected-list.js';
+import { loadConfig, getProfile } from './lib/config.js';
+import { createSeeder, writeSeedManifest, newManifestPath, DEFAULT_SEED_OPTIONS } from './lib/seeder.js';
+import { createFakeWorkOS, loadFixture, parseFaults } from './lib/fake-workos.js';
+import { readSnapshot, toCreateOrganizationOptions } from './lib/snapshot.js';
+import { describeApiKey, writeReport } from './lib/report.js';
+import { summarizeEntities, estimateDeletionSeconds, GROUP_BY } from './lib/inspect.js';
+import { createRunMetrics, startMetricsServer, parseMetricsAddress } from './lib/metrics.js';
+import { attachNdjsonOutput } from './lib/ndjson.js';
+import { createSchedule } from './lib/schedule.js';
+import { acquireLock, releaseLock } from './lib/lock.js';
+import { createMarker } from './lib/quarantine.js';
+import { createReview, parseNumberList } from './lib/review.js';
+import { loadListingCache, getListingCachePath, uncachedFilterFields } from './lib/listing-cache.js';
 
 // Configuration - different rate limits for different endpoints
 const USER_CONCURRENCY_LIMIT = parseInt(process.env.CONCURRENCY) || 40;
 const ORG_CONCURRENCY_LIMIT = 5; // Lower concurrency for orgs due to strict rate limit
 const MAX_REQUESTS_PER_SECOND = parseInt(process.env.MAX_REQUESTS_PER_SECOND) || 40; // For user management
 const ORG_REQUESTS_PER_MINUTE = 50; // Organizations delete endpoint: 50 requests per 60 seconds
-const ORG_REQUESTS_PER_SECOND = ORG_REQUESTS_PER_MINUTE / 60; // ~0.833 requests per second
-
-/**
- * Token Bucket Rate Limiter
- * Supports different rate limits for different API endpoints
- */
-class TokenBucketRateLimiter {
-  constructor(maxRequestsPerSecond) {
-    // Ensure capacity is at least 1 to allow token acquisition
-    this.capacity = Math.max(1, maxRequestsPerSecond);
-    this.tokens = this.capacity;
-    this.refillRate = maxRequestsPerSecond; // tokens per second
-    this.lastRefill = Date.now();
-  }
-
-  refillTokens() {
-    const now = Date.now();
-    const timePassed = (now - this.lastRefill) / 1000; // seconds
-    const tokensToAdd = timePassed * this.refillRate;
-
-    this.tokens = Math.min(this.capacity, this.tokens + tokensToAdd);
-    this.lastRefill = now;
-  }
-
-  async acquireToken() {
-    return new Promise((resolve) => {
-      const tryAcquire = () => {
-        this.refillTokens();
-
-        if (this.tokens >= 1) {
-          this.tokens -= 1;
-          resolve();
-        } else {
-          // Calculate wait time based on refill rate
-          const waitTime = Math.ceil(1000 / this.refillRate);
-          setTimeout(tryAcquire, waitTime);
-        }
-      };
-
-      tryAcquire();
-    });
-  }
-
-  /**
-   * Get current token availability (for debugging)
-   */
-  getAvailableTokens() {
-    this.refillTokens();
-    return Math.floor(this.tokens);
-  }
-}
-
-// Create separate rate limiters for different endpoints
-const orgRateLimiter = new TokenBucketRateLimiter(ORG_REQUESTS_PER_SECOND); // 50 req/60s for organizations
-const userRateLimiter = new TokenBucketRateLimiter(MAX_REQUESTS_PER_SECOND); // 40 req/s for user management
+const JOURNAL_DIR = 'journals'; // Default location for checkpoint journals
+const SNAPSHOT_DIR = 'snapshots'; // Default location for pre-deletion snapshots
+const DEFAULT_PROTECTED_FILE = '.workos-protected.json'; // Loaded automatically when present
+const DEFAULT_CONFIG_FILE = '.workos-cleanup.json'; // Profiles selected with --profile
+const MANIFEST_DIR = 'manifests'; // Default location for seed manifests
+const DEFAULT_LOCK_FILE = '.workos-watch.lock'; // Keeps a second watch from starting
+const LISTING_CACHE_DIR = '.workos-cache'; // Listed organizations and users, one file per environment
+const WATCH_SLEEP_STEP_MS = 60 * 1000; // A sleeping watch re-checks the clock every minute
+const RETRY_RATE_FACTOR = 0.25; // retry-failed deletes at a quarter of the normal rate and concurrency
+const DEFAULT_PERMANENT_STATUSES = [403, 404]; // Failures retry-failed skips unless --permanent-status says otherwise
+const OUTPUT_MODES = ['tty', 'plain', 'ndjson']; // --output: progress bar, progress lines, or an event stream
+const DEFAULT_PROGRESS_INTERVAL = 10; // Seconds between progress lines in plain and ndjson output
+const INTERRUPTED_EXIT_CODES = { SIGINT: 130, SIGTERM: 143 }; // 128 + signal number, as shells report it
+const STOP_REASONS = {
+  interrupted: 'interrupted',
+  limit: 'reached --limit',
+  'max-duration': 'reached --max-duration',
+  failed: 'another phase failed'
+};
 
 /**
  * Parse and validate command line arguments
@@ -116,6 +154,15 @@ function parseArguments() {
   const deleteUsers = args.includes('--users');
   args = args.filter(arg => arg !== '--users');
 
+  // Check for --cascade-members and --orphans flags
+  const cascadeMembers = args.includes('--cascade-members');
+  const orphans = args.includes('--orphans');
+  args = args.filter(arg => arg !== '--cascade-members' && arg !== '--orphans');
+
+  // Organization dependents to delete first: --invitations, --directories, --connections, --domains
+  let dependents = DEPENDENT_TYPES.map(getPhaseName).filter(name => args.includes(`--${name}`));
+  args = args.filter(arg => !dependents.includes(arg.replace(/^--/, '')));
+
   // Check for --debug flag
   const debug = args.includes('--debug');
   args = args.filter(arg => arg !== '--debug');
@@ -124,601 +171,2897 @@ function parseArguments() {
   const dryRun = args.includes('--dry-run');
   args = args.filter(arg => arg !== '--dry-run');
 
-  // Check if date argument is provided
-  if (args.length === 0) {
-    console.error('❌ Error: Date argument is required.\n');
-    showHelp();
-    process.exit(1);
-  }
+  // Check for --yes flag (skip the typed confirmation)
+  const yes = args.includes('--yes') || args.includes('-y');
+  args = args.filter(arg => arg !== '--yes' && arg !== '-y');
 
-  // Validate date format (YYYY-MM-DD)
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  // Check for --verify flag (re-fetch what was deleted afterwards)
+  const verifyAll = args.includes('--verify');
+  args = args.filter(arg => arg !== '--verify');
 
-  const validateDate = (dateStr) => {
-    if (!dateRegex.test(dateStr)) {
-      console.error('❌ Error: Invalid date format.');
-      console.error('   Expected format: YYYY-MM-DD (e.g., 2005-12-17)\n');
+  // Check for --interactive flag (review the matches before deleting)
+  const interactive = args.includes('--interactive');
+  args = args.filter(arg => arg !== '--interactive');
+
+  // Check for listing cache flags (list everything again, or bypass the cache)
+  const refreshCache = args.includes('--refresh');
+  const noCache = args.includes('--no-cache');
+  args = args.filter(arg => arg !== '--refresh' && arg !== '--no-cache');
+
+  // Options that take a value
+  const takeOption = (name) => {
+    const index = args.indexOf(name);
+    if (index === -1) {
+      return null;
+    }
+    const value = args[index + 1];
+    if (!value || value.startsWith('--')) {
+      console.error(`❌ Error: ${name} requires a value.\n`);
+      showHelp();
       process.exit(1);
     }
+    args.splice(index, 2);
+    return value;
+  };
 
-    const date = new Date(dateStr);
-    if (isNaN(date.getTime())) {
-      console.error('❌ Error: Invalid date provided.');
-      console.error('   Please provide a valid date in YYYY-MM-DD format.\n');
+  const journalPath = takeOption('--journal');
+  const resumePath = takeOption('--resume');
+  const idsFilePath = takeOption('--ids-file');
+  const protectedPath = takeOption('--protected');
+  const reportPath = takeOption('--report');
+  const maxDeleteValue = takeOption('--max-delete');
+  const permanentStatusValue = takeOption('--permanent-status');
+  const configPath = takeOption('--config');
+  const profileName = takeOption('--profile');
+  const simulatePath = takeOption('--simulate');
+  const faultsValue = takeOption('--faults');
+  const metricsValue = takeOption('--metrics-port');
+  const outputValue = takeOption('--output');
+  const progressIntervalValue = takeOption('--progress-interval');
+  const limitValue = takeOption('--limit');
+  const maxDurationValue = takeOption('--max-duration');
+  const verifySampleValue = takeOption('--verify-sample');
+
+  // Named profile from the config file: API key variable, limits, protected entities, default filter
+  if (configPath && !profileName) {
+    console.error('❌ Error: --config requires --profile.\n');
+    process.exit(1);
+  }
+  let profile = null;
+  if (profileName) {
+    try {
+      profile = getProfile(loadConfig(configPath || DEFAULT_CONFIG_FILE), profileName);
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}\n`);
       process.exit(1);
     }
+  }
 
-    return date;
+  // Offline fake backend: fixture data plus injected faults
+  if (faultsValue !== null && !simulatePath) {
+    console.error('❌ Error: --faults requires --simulate.\n');
+    process.exit(1);
+  }
+  let simulation = null;
+  if (simulatePath) {
+    try {
+      simulation = {
+        fixture: loadFixture(simulatePath),
+        faults: faultsValue !== null ? parseFaults(faultsValue) : {}
+      };
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  // Progress bar on a terminal, plain lines otherwise (CI logs, pipes)
+  const output = {
+    mode: outputValue || (process.stdout.isTTY ? 'tty' : 'plain'),
+    progressInterval: progressIntervalValue === null ? DEFAULT_PROGRESS_INTERVAL : Number(progressIntervalValue)
   };
+  if (!OUTPUT_MODES.includes(output.mode)) {
+    console.error(`❌ Error: --output expects ${OUTPUT_MODES.join(', ')}, got "${outputValue}".\n`);
+    process.exit(1);
+  }
+  if (output.mode === 'ndjson' && ['inspect', 'restore', 'seed', 'mark', 'unmark'].includes(args[0])) {
+    console.error(`❌ Error: --output ndjson only applies to deletion runs, not ${args[0]}.\n`);
+    process.exit(1);
+  }
+  if (!(output.progressInterval > 0)) {
+    console.error(`❌ Error: --progress-interval expects a positive number of seconds, got "${progressIntervalValue}".\n`);
+    process.exit(1);
+  }
 
-  // Parse single date or date range
-  if (args.length === 1) {
-    const date = validateDate(args[0]);
-    return {
-      mode: 'single',
-      date: args[0],
-      dateObj: date,
-      deleteUsers,
-      debug,
-      dryRun
-    };
-  } else if (args.length === 2) {
-    const startDate = validateDate(args[0]);
-    const endDate = validateDate(args[1]);
+  // Listing cache: organizations and users listed by earlier runs against this environment
+  if (refreshCache || noCache) {
+    if (['restore', 'seed', 'mark', 'unmark'].includes(args[0])) {
+      console.error(`❌ Error: --refresh and --no-cache only apply to deletion runs and inspect, not ${args[0]}.\n`);
+      process.exit(1);
+    }
+    if (refreshCache && noCache) {
+      console.error('❌ Error: --refresh and --no-cache cannot be combined.\n');
+      process.exit(1);
+    }
+    if (refreshCache && simulation) {
+      console.error('❌ Error: --refresh has no effect with --simulate (simulations never use the listing cache).\n');
+      process.exit(1);
+    }
+  }
 
-    if (startDate > endDate) {
-      console.error('❌ Error: Start date must be before or equal to end date.\n');
+  const environment = {
+    profile,
+    apiKeyEnv: profile ? profile.apiKeyEnv : 'WORKOS_API_KEY',
+    limits: resolveLimits(profile),
+    simulation,
+    output,
+    cache: noCache ? null : { refresh: refreshCache }
+  };
+
+  let maxDelete = null;
+  if (maxDeleteValue !== null) {
+    maxDelete = Number(maxDeleteValue);
+    if (!Number.isInteger(maxDelete) || maxDelete < 0) {
+      console.error(`❌ Error: --max-delete expects a non-negative integer, got "${maxDeleteValue}".\n`);
       process.exit(1);
     }
+  }
 
-    return {
-      mode: 'range',
-      startDate: args[0],
-      endDate: args[1],
-      startDateObj: startDate,
-      endDateObj: endDate,
-      deleteUsers,
-      debug,
-      dryRun
-    };
-  } else {
-    console.error('❌ Error: Too many arguments provided.\n');
-    showHelp();
+  let protectedList = createProtectedList();
+  try {
+    if (protectedPath || fs.existsSync(DEFAULT_PROTECTED_FILE)) {
+      protectedList = loadProtectedList(protectedPath || DEFAULT_PROTECTED_FILE);
+    }
+    if (profile) {
+      protectedList = mergeProtectedLists(protectedList, profile.protected);
+    }
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}\n`);
     process.exit(1);
   }
-}
 
-/**
- * Show help information
- */
-function showHelp() {
-  console.log('WorkOS Bulk Deletion Script');
-  console.log('');
-  console.log('Optimized for WorkOS API rate limits:');
-  console.log('  - Organizations: 50 requests per 60 seconds (~50/min) with 5 concurrent operations');
-  console.log('  - User Management: 40 requests per second (~2,400/min) with 40 concurrent operations');
-  console.log('');
-  console.log('Usage:');
-  console.log('  node delete-orgs.js [options] <date>');
-  console.log('  node delete-orgs.js [options] <start> <end>');
-  console.log('');
-  console.log('Arguments:');
-  console.log('  <date>        Single date in YYYY-MM-DD format');
-  console.log('  <start>       Start date for range in YYYY-MM-DD format');
-  console.log('  <end>         End date for range in YYYY-MM-DD format (inclusive)');
-  console.log('');
-  console.log('Options:');
-  console.log('  --users       Also delete users created on the specified date(s)');
-  console.log('  --dry-run     Show what would be deleted without actually deleting');
-  console.log('  --debug       Show detailed debug information');
-  console.log('  -h, --help    Show this help message');
-  console.log('');
-  console.log('Environment Variables:');
-  console.log('  WORKOS_API_KEY              Your WorkOS API key (required)');
-  console.log('  CONCURRENCY                 Max concurrent user deletions (default: 40)');
-  console.log('  MAX_REQUESTS_PER_SECOND     Max requests per second for user management (default: 40)');
-  console.log('');
-  console.log('Examples:');
-  console.log('  node delete-orgs.js 2005-12-17');
-  console.log('  node delete-orgs.js --users 2005-12-17 2005-12-25');
-  console.log('  node delete-orgs.js --dry-run 2005-12-17');
-  console.log('  CONCURRENCY=50 node delete-orgs.js --users 2005-12-17');
-  console.log('');
-  console.log('Performance:');
-  console.log('  Organizations:');
-  console.log('    - 50 deletions: ~60 seconds');
-  console.log('    - 500 deletions: ~10 minutes');
-  console.log('    - 1,000 deletions: ~20 minutes');
-  console.log('  Users:');
-  console.log('    - 1,000 deletions: ~25 seconds');
-  console.log('    - 10,000 deletions: ~4 minutes');
-  console.log('    - 100,000 deletions: ~42 minutes');
-  console.log('');
-}
+  // The review reads commands from the terminal and draws pages on it
+  if (interactive) {
+    if (['inspect', 'restore', 'seed', 'mark', 'unmark', 'watch'].includes(args[0])) {
+      console.error(`❌ Error: --interactive only applies to deletion runs, not ${args[0]}.\n`);
+      process.exit(1);
+    }
+    if (output.mode === 'ndjson') {
+      console.error('❌ Error: --interactive cannot be combined with --output ndjson.\n');
+      process.exit(1);
+    }
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      console.error('❌ Error: --interactive needs a terminal (stdin and stdout).\n');
+      process.exit(1);
+    }
+  }
 
-// Get target date/range from command line arguments
-const dateFilter = parseArguments();
+  const safety = { yes, maxDelete, protectedList, reportPath, interactive };
 
-/**
- * Check if an entity was created within the target date/range
- */
-function matchesDateFilter(createdAt) {
-  const createdDate = new Date(createdAt);
-  const year = createdDate.getUTCFullYear();
-  const month = String(createdDate.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(createdDate.getUTCDate()).padStart(2, '0');
-  const dateStr = `${year}-${month}-${day}`;
+  // Run budgets: stop cleanly after this many deletions or this much time
+  const budget = { deletions: null, durationMs: null };
+  if (limitValue !== null || maxDurationValue !== null) {
+    if (['inspect', 'restore', 'seed', 'mark', 'unmark'].includes(args[0])) {
+      console.error(`❌ Error: --limit and --max-duration only apply to deletion runs, not ${args[0]}.\n`);
+      process.exit(1);
+    }
+    if (limitValue !== null) {
+      budget.deletions = Number(limitValue);
+      if (!Number.isInteger(budget.deletions) || budget.deletions < 1) {
+        console.error(`❌ Error: --limit expects a positive integer, got "${limitValue}".\n`);
+        process.exit(1);
+      }
+    }
+    if (maxDurationValue !== null) {
+      try {
+        budget.durationMs = parseDuration(maxDurationValue);
+      } catch (error) {
+        console.error(`❌ Error: --max-duration: ${error.message}\n`);
+        process.exit(1);
+      }
+    }
+  }
 
-  if (dateFilter.mode === 'single') {
-    return dateStr === dateFilter.date;
-  } else {
-    return dateStr >= dateFilter.startDate && dateStr <= dateFilter.endDate;
+  // Post-run verification: every deleted ID, or a sample (--verify-sample implies --verify)
+  let verify = null;
+  if (verifyAll || verifySampleValue !== null) {
+    if (['inspect', 'restore', 'seed', 'mark', 'unmark'].includes(args[0])) {
+      console.error(`❌ Error: --verify only applies to deletion runs, not ${args[0]}.\n`);
+      process.exit(1);
+    }
+    if (dryRun) {
+      console.error('❌ Error: --verify checks deletions and cannot be combined with --dry-run.\n');
+      process.exit(1);
+    }
+    verify = { sampleRate: 1 };
+    if (verifySampleValue !== null) {
+      // 0.1 or 10%
+      const percent = verifySampleValue.endsWith('%');
+      verify.sampleRate = Number(percent ? verifySampleValue.slice(0, -1) : verifySampleValue) / (percent ? 100 : 1);
+      if (!(verify.sampleRate > 0 && verify.sampleRate <= 1)) {
+        console.error(`❌ Error: --verify-sample expects a fraction (0.1) or percentage (10%) above 0 and at most 1, got "${verifySampleValue}".\n`);
+        process.exit(1);
+      }
+    }
   }
-}
 
-/**
- * Execute API call with rate limiting and retry logic
- */
-async function executeWithRateLimit(apiCall, rateLimiter, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+  // Live metrics endpoint for the deletion run
+  let metrics = null;
+  if (metricsValue !== null) {
+    if (['inspect', 'restore', 'seed', 'mark', 'unmark'].includes(args[0])) {
+      console.error(`❌ Error: --metrics-port only applies to deletion runs, not ${args[0]}.\n`);
+      process.exit(1);
+    }
     try {
-      await rateLimiter.acquireToken();
-      return await apiCall();
+      metrics = parseMetricsAddress(metricsValue);
     } catch (error) {
-      // Rate limit error (429)
-      if (error.status === 429 && attempt < maxRetries) {
-        const backoffTime = Math.pow(2, attempt) * 1000;
-        if (dateFilter.debug) {
-          console.log(`   ⏳ Rate limit hit. Backing off for ${backoffTime / 1000}s (attempt ${attempt}/${maxRetries})...`);
-        }
-        await new Promise(resolve => setTimeout(resolve, backoffTime));
-        continue;
-      }
-      throw error;
+      console.error(`❌ Error: ${error.message}\n`);
+      process.exit(1);
     }
   }
-}
 
-/**
- * Fetch all organizations with pagination (optimized)
- */
-async function fetchAllOrganizations() {
-  console.log('📋 Fetching all organizations...\n');
-
-  const allOrganizations = [];
-  let after = null;
-  let pageCount = 0;
-  const startTime = Date.now();
+  // inspect [filters] - summarize what the filters select without deleting anything
+  let inspect = null;
+  if (args[0] === 'inspect') {
+    args.shift();
+    const groupBy = takeOption('--group-by') || 'day';
+    const topValue = takeOption('--top');
+    const top = topValue === null ? 10 : Number(topValue);
+    if (!GROUP_BY.includes(groupBy)) {
+      console.error(`❌ Error: --group-by expects ${GROUP_BY.join(', ')}, got "${groupBy}".\n`);
+      process.exit(1);
+    }
+    if (!Number.isInteger(top) || top < 1) {
+      console.error(`❌ Error: --top expects a positive integer, got "${topValue}".\n`);
+      process.exit(1);
+    }
+    if (resumePath || cascadeMembers) {
+      console.error('❌ Error: inspect cannot be combined with --resume or --cascade-members.\n');
+      process.exit(1);
+    }
+    inspect = { groupBy, top };
+  }
 
-  try {
-    do {
-      pageCount++;
-      const params = {
-        limit: 100,
-        order: 'desc'
-      };
+  // watch --retention <age> --interval <duration> | --cron <expr> - delete on a schedule
+  let watch = null;
+  if (args[0] === 'watch') {
+    args.shift();
+    const retention = takeOption('--retention');
+    const interval = takeOption('--interval');
+    const cron = takeOption('--cron');
+    const lockPath = takeOption('--lock') || DEFAULT_LOCK_FILE;
+    if (!retention) {
+      console.error('❌ Error: watch requires --retention <age> (e.g., 14d).\n');
+      process.exit(1);
+    }
+    if ((interval === null) === (cron === null)) {
+      console.error('❌ Error: watch requires either --interval <duration> or --cron <expression>.\n');
+      process.exit(1);
+    }
+    if (resumePath || journalPath || idsFilePath || cascadeMembers) {
+      console.error('❌ Error: watch cannot be combined with --resume, --journal, --ids-file or --cascade-members.\n');
+      process.exit(1);
+    }
+    if (!yes && !dryRun) {
+      console.error('❌ Error: watch runs unattended and requires --yes (or --dry-run).\n');
+      process.exit(1);
+    }
+    try {
+      parseDuration(retention);
+    } catch (error) {
+      console.error(`❌ Error: --retention: ${error.message}\n`);
+      process.exit(1);
+    }
+    watch = { retention, interval, cron, lockPath };
+  }
 
-      if (after) {
-        params.after = after;
+  // mark / unmark [filters] - set or remove the quarantine mark; sweep --grace <duration> [filters] - delete marked entities
+  let quarantine = null;
+  if (['mark', 'unmark', 'sweep'].includes(args[0])) {
+    const action = args.shift();
+    const grace = action === 'sweep' ? takeOption('--grace') : null;
+    if (action === 'sweep') {
+      if (!grace) {
+        console.error('❌ Error: sweep requires --grace <duration> (e.g., 14d).\n');
+        process.exit(1);
       }
-
-      if (dateFilter.debug) {
-        console.log(`   Fetching page ${pageCount}...`);
+      try {
+        parseDuration(grace);
+      } catch (error) {
+        console.error(`❌ Error: --grace: ${error.message}\n`);
+        process.exit(1);
       }
-
-      const response = await executeWithRateLimit(() =>
-        workos.organizations.listOrganizations(params),
-        userRateLimiter
-      );
-
-      if (response.data && response.data.length > 0) {
-        allOrganizations.push(...response.data);
-        if (dateFilter.debug) {
-          console.log(`   ✓ Retrieved ${response.data.length} organizations (total: ${allOrganizations.length})`);
-        }
+    }
+    if (resumePath || cascadeMembers) {
+      // Cascaded members are selected by membership, so they would be deleted without a mark
+      console.error(`❌ Error: ${action} cannot be combined with --resume or --cascade-members.\n`);
+      process.exit(1);
+    }
+    if (action !== 'sweep') {
+      const deletionOnly = [journalPath && '--journal', reportPath && '--report', dependents.length > 0 && `--${dependents[0]}`].find(Boolean);
+      if (deletionOnly) {
+        console.error(`❌ Error: ${deletionOnly} only applies to deletion runs, not ${action} (use it with sweep).\n`);
+        process.exit(1);
       }
+    }
+    quarantine = { action, grace };
+  }
 
-      after = response.listMetadata?.after || null;
-
-    } while (after);
+  // retry-failed <report> - the report's failures replace --ids-file
+  let retryReportPath = null;
+  if (args[0] === 'retry-failed') {
+    if (!args[1] || args[1].startsWith('--')) {
+      console.error('❌ Error: retry-failed requires the report of a previous run.\n');
+      showHelp();
+      process.exit(1);
+    }
+    retryReportPath = args[1];
+    args.splice(0, 2);
 
-    const fetchTime = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`✓ Fetched ${allOrganizations.length} organizations in ${fetchTime}s\n`);
-    return allOrganizations;
+    if (resumePath || idsFilePath) {
+      console.error('❌ Error: retry-failed cannot be combined with --resume or --ids-file.\n');
+      process.exit(1);
+    }
+  } else if (permanentStatusValue !== null) {
+    console.error('❌ Error: --permanent-status only applies to retry-failed.\n');
+    process.exit(1);
+  }
 
-  } catch (error) {
-    console.error('❌ Error fetching organizations:', error.message);
-    throw error;
+  let permanentStatuses = DEFAULT_PERMANENT_STATUSES;
+  if (permanentStatusValue !== null) {
+    permanentStatuses = permanentStatusValue === 'none'
+      ? []
+      : permanentStatusValue.split(',').map(value => Number(value.trim()));
+    if (permanentStatuses.some(status => !Number.isInteger(status) || status < 100 || status > 599)) {
+      console.error(`❌ Error: --permanent-status expects comma-separated HTTP status codes or "none", got "${permanentStatusValue}".\n`);
+      process.exit(1);
+    }
   }
-}
 
-/**
- * Fetch all users with pagination (optimized)
- */
-async function fetchAllUsers() {
-  console.log('📋 Fetching all users...\n');
+  // restore <snapshot> subcommand
+  if (args[0] === 'restore') {
+    if (args.length !== 2) {
+      console.error('❌ Error: restore requires exactly one snapshot file.\n');
+      showHelp();
+      process.exit(1);
+    }
+    return {
+      command: 'restore',
+      snapshotPath: args[1],
+      debug,
+      dryRun,
+      ...environment
+    };
+  }
 
-  const allUsers = [];
-  let after = null;
-  let pageCount = 0;
-  const startTime = Date.now();
+  // seed <orgs> [users] subcommand
+  if (args[0] === 'seed') {
+    return parseSeedArguments(args, takeOption, { debug, dryRun, ...environment });
+  }
 
-  try {
-    do {
-      pageCount++;
-      const params = {
-        limit: 100,
-        order: 'desc'
-      };
+  // Resume restores the original target from the journal
+  if (resumePath) {
+    if (args.length > 0) {
+      console.error('❌ Error: --resume cannot be combined with date arguments.\n');
+      process.exit(1);
+    }
 
-      if (after) {
-        params.after = after;
+    let resumeState;
+    let filter;
+    let ids;
+    try {
+      resumeState = RunJournal.load(resumePath);
+      const journalProfile = resumeState.run.profile || null;
+      if (journalProfile !== (profile?.name || null)) {
+        throw new Error(journalProfile
+          ? `${resumePath} was written with --profile ${journalProfile}; resume it with the same profile`
+          : `${resumePath} was written without a profile; resume it without --profile`);
       }
-
-      if (dateFilter.debug) {
-        console.log(`   Fetching page ${pageCount}...`);
+      // A simulated run must not be resumed against a real environment, or the other way round
+      const journalSimulate = resumeState.run.simulate || null;
+      if (journalSimulate !== (simulatePath || null)) {
+        throw new Error(journalSimulate
+          ? `${resumePath} was written with --simulate ${journalSimulate}; resume it with the same fixture`
+          : `${resumePath} was written against a real environment; resume it without --simulate`);
       }
-
-      const response = await executeWithRateLimit(() =>
-        workos.userManagement.listUsers(params),
-        userRateLimiter
-      );
-
-      if (response.data && response.data.length > 0) {
-        allUsers.push(...response.data);
-        if (dateFilter.debug) {
-          console.log(`   ✓ Retrieved ${response.data.length} users (total: ${allUsers.length})`);
-        }
+      const { expression, idsFile, retry } = resumeState.run.filter;
+      filter = expression ? parseFilterExpression(expression) : null;
+      if (retry) {
+        ids = loadFailuresReport(retry.report, retry.permanentStatuses);
+      } else if (idsFile) {
+        ids = loadIdsFile(idsFile);
       }
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}\n`);
+      process.exit(1);
+    }
 
-      after = response.listMetadata?.after || null;
-
-    } while (after);
-
-    const fetchTime = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`✓ Fetched ${allUsers.length} users in ${fetchTime}s\n`);
-    return allUsers;
-
-  } catch (error) {
-    console.error('❌ Error fetching users:', error.message);
-    throw error;
+    return buildFilterOptions(filter, resumeState.run.filter.timeZone, {
+      deleteUsers: resumeState.run.filter.deleteUsers,
+      cascadeMembers: Boolean(resumeState.run.filter.cascadeMembers),
+      dependents: resumeState.run.filter.dependents || [],
+      orphans: Boolean(resumeState.run.filter.orphans),
+      debug,
+      dryRun,
+      ids,
+      retry: ids?.retry || null,
+      ...safety,
+      metrics,
+      budget,
+      verify,
+      journalPath: resumePath,
+      resumeState,
+      ...environment
+    });
   }
-}
-
-/**
- * Filter entities by target date/range
- */
-function filterByDate(entities, entityType = 'organization') {
-  const filterDescription = dateFilter.mode === 'single'
-    ? `on ${dateFilter.date}`
-    : `between ${dateFilter.startDate} and ${dateFilter.endDate}`;
 
-  console.log(`🔍 Filtering ${entityType}s created ${filterDescription}...\n`);
+  // Timezone used for calendar-day comparisons
+  const timeZone = takeOption('--tz') || profile?.timeZone || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    console.error(`❌ Error: Unknown timezone "${timeZone}".`);
+    console.error('   Use an IANA timezone name (e.g., UTC, Europe/Berlin, America/New_York)\n');
+    process.exit(1);
+  }
 
-  const filtered = entities.filter(entity => {
-    if (!entity.createdAt) {
-      console.log(`   ⚠️  ${entityType} ${entity.id} has no createdAt field`);
-      return false;
+  // Filter options - every option given must match (AND)
+  const filters = [];
+  const takeFilterOption = (name, toFilter) => {
+    let value;
+    while ((value = takeOption(name)) !== null) {
+      filters.push(toFilter(value));
     }
-    return matchesDateFilter(entity.createdAt);
+  };
+
+  takeFilterOption('--filter', (value) => {
+    try {
+      return parseFilterExpression(value);
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}\n`);
+      process.exit(1);
+    }
+  });
+  takeFilterOption('--created-after', (value) => filterPredicate('created', '>', value));
+  takeFilterOption('--created-before', (value) => filterPredicate('created', '<', value));
+  takeFilterOption('--updated-after', (value) => filterPredicate('updated', '>', value));
+  takeFilterOption('--updated-before', (value) => filterPredicate('updated', '<', value));
+  takeFilterOption('--older-than', (value) => filterPredicate('age', '>', value));
+  takeFilterOption('--newer-than', (value) => filterPredicate('age', '<', value));
+  takeFilterOption('--name', (value) => filterPredicate('name', '~', value));
+  takeFilterOption('--email', (value) => filterPredicate('email', '~', value));
+  takeFilterOption('--email-domain', (value) => combineFilters('or',
+    value.split(',').map(domain => filterPredicate('email-domain', '=', domain.trim()))
+  ));
+  takeFilterOption('--external-id-prefix', (value) => filterPredicate('external-id', '^=', value));
+  takeFilterOption('--metadata', (value) => {
+    const separator = value.indexOf('=');
+    if (separator < 1) {
+      console.error(`❌ Error: --metadata expects key=value, got "${value}".\n`);
+      process.exit(1);
+    }
+    return filterPredicate(`metadata.${value.slice(0, separator)}`, '=', value.slice(separator + 1));
+  });
+
+  const unknownOption = args.find(arg => arg.startsWith('--'));
+  if (unknownOption) {
+    console.error(`❌ Error: Unknown option ${unknownOption}.\n`);
+    showHelp();
+    process.exit(1);
+  }
+
+  // Validate date format (YYYY-MM-DD)
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+  const validateDate = (dateStr) => {
+    if (!dateRegex.test(dateStr)) {
+      console.error('❌ Error: Invalid date format.');
+      console.error('   Expected format: YYYY-MM-DD (e.g., 2005-12-17)\n');
+      process.exit(1);
+    }
+
+    const date = new Date(dateStr);
+    if (isNaN(date.getTime())) {
+      console.error('❌ Error: Invalid date provided.');
+      console.error('   Please provide a valid date in YYYY-MM-DD format.\n');
+      process.exit(1);
+    }
+
+    return date;
+  };
+
+  // Positional single date or date range (createdAt calendar day)
+  if (args.length === 1) {
+    validateDate(args[0]);
+    filters.unshift(filterPredicate('created', '=', args[0]));
+  } else if (args.length === 2) {
+    const startDate = validateDate(args[0]);
+    const endDate = validateDate(args[1]);
+
+    if (startDate > endDate) {
+      console.error('❌ Error: Start date must be before or equal to end date.\n');
+      process.exit(1);
+    }
+
+    filters.unshift(
+      filterPredicate('created', '>=', args[0]),
+      filterPredicate('created', '<=', args[1])
+    );
+  } else if (args.length > 2) {
+    console.error('❌ Error: Too many arguments provided.\n');
+    showHelp();
+    process.exit(1);
+  }
+
+  // Explicit ID list - filters are optional and narrow it further
+  let ids = null;
+  if (retryReportPath) {
+    try {
+      ids = loadFailuresReport(retryReportPath, permanentStatuses);
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}\n`);
+      process.exit(1);
+    }
+  } else if (idsFilePath) {
+    try {
+      ids = loadIdsFile(idsFilePath);
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}\n`);
+      process.exit(1);
+    }
+
+    if (ids.invalid.length > 0) {
+      console.error(`❌ Error: Invalid entries in ${idsFilePath} (${ids.invalid.length}):`);
+      ids.invalid.slice(0, 10).forEach(value => console.error(`   - ${value}`));
+      if (ids.invalid.length > 10) {
+        console.error(`   ... and ${ids.invalid.length - 10} more`);
+      }
+      console.error('   Expected IDs starting with org_ or user_\n');
+      process.exit(1);
+    }
+
+    if (ids.organizations.length === 0 && ids.users.length === 0) {
+      console.error(`❌ Error: No IDs found in ${idsFilePath}.\n`);
+      process.exit(1);
+    }
+  }
+
+  // User selection modes are mutually exclusive
+  if (cascadeMembers && (deleteUsers || orphans)) {
+    console.error('❌ Error: --cascade-members selects users itself and cannot be combined with --users or --orphans.\n');
+    process.exit(1);
+  }
+  if (orphans && (deleteUsers || ids)) {
+    console.error('❌ Error: --orphans cannot be combined with --users or --ids-file.\n');
+    process.exit(1);
+  }
+  if (orphans && dependents.length > 0) {
+    console.error(`❌ Error: --orphans deletes no organizations, so --${dependents[0]} has nothing to clean up.\n`);
+    process.exit(1);
+  }
+  if (retryReportPath && (cascadeMembers || orphans)) {
+    console.error('❌ Error: retry-failed cannot be combined with --cascade-members or --orphans.\n');
+    process.exit(1);
+  }
+
+  // A retried organization has the dependents its run deleted removed first again
+  if (ids?.retry) {
+    const reported = ids.retry.dependents || [];
+    dependents = DEPENDENT_TYPES.map(getPhaseName).filter(name => dependents.includes(name) || reported.includes(name));
+    const unlisted = ids.retry.dependentPhases.filter(name => !dependents.includes(name));
+    if (unlisted.length > 0) {
+      console.error(`❌ Error: ${retryReportPath} has failed ${unlisted.join(', ')}, which are retried through their organization, but does not say which dependents its run deleted.`);
+      console.error(`   Pass ${unlisted.map(name => `--${name}`).join(' ')} to delete them before their organization.\n`);
+      process.exit(1);
+    }
+  }
+
+  // Each watch pass deletes what is older than the retention age
+  if (watch) {
+    filters.push(filterPredicate('age', '>', watch.retention));
+  }
+
+  // A sweep deletes what has been marked for longer than the grace period
+  if (quarantine?.action === 'sweep') {
+    filters.push(filterPredicate('marked-age', '>', quarantine.grace));
+  }
+
+  // The profile's default filter applies to every run
+  if (profile?.filter) {
+    filters.unshift(profile.filter);
+  }
+
+  // Refuse to run without any filter - that would target every entity.
+  // --orphans only targets users without memberships, so it may run unfiltered;
+  // inspect deletes nothing, so it may look at everything, and unmark only
+  // releases entities.
+  if (filters.length === 0 && !ids && !orphans && !inspect && quarantine?.action !== 'unmark') {
+    console.error('❌ Error: A date, date range, filter option or --ids-file is required.\n');
+    showHelp();
+    process.exit(1);
+  }
+
+  return buildFilterOptions(combineFilters('and', filters), timeZone, {
+    command: inspect ? 'inspect' : (watch ? 'watch' : quarantine?.action || null),
+    inspect,
+    watch,
+    quarantine,
+    // User IDs in the file and the membership modes imply a user phase
+    deleteUsers: deleteUsers || cascadeMembers || orphans || Boolean(ids?.users.length),
+    cascadeMembers,
+    dependents,
+    orphans,
+    debug,
+    dryRun,
+    ids,
+    retry: ids?.retry || null,
+    ...safety,
+    metrics,
+    budget,
+    verify,
+    // A retry writes a new report next to the one it retries
+    reportPath: reportPath || (retryReportPath ? getRetryReportPath(retryReportPath) : null),
+    journalPath,
+    resumeState: null,
+    ...environment
+  });
+}
+
+/**
+ * Parse the arguments of the seed subcommand (args starts with "seed";
+ * takeOption removes options from it)
+ */
+function parseSeedArguments(args, takeOption, options) {
+  const organizationName = takeOption('--org-name') || DEFAULT_SEED_OPTIONS.organizationName;
+  const emailPattern = takeOption('--email-pattern') || DEFAULT_SEED_OPTIONS.emailPattern;
+  const emailDomainValue = takeOption('--email-domain');
+  const membershipsValue = takeOption('--memberships');
+  const manifestPath = takeOption('--manifest');
+
+  const tags = {};
+  let tag;
+  while ((tag = takeOption('--tag')) !== null) {
+    const separator = tag.indexOf('=');
+    if (separator < 1) {
+      console.error(`❌ Error: --tag expects key=value, got "${tag}".\n`);
+      process.exit(1);
+    }
+    tags[tag.slice(0, separator)] = tag.slice(separator + 1);
+  }
+
+  const positional = args.slice(1);
+  const unknownOption = positional.find(arg => arg.startsWith('--'));
+  if (unknownOption) {
+    console.error(`❌ Error: Unknown option ${unknownOption} for seed.\n`);
+    showHelp();
+    process.exit(1);
+  }
+
+  const counts = positional.map(Number);
+  if (positional.length < 1 || positional.length > 2 || counts.some(count => !Number.isInteger(count) || count < 0)) {
+    console.error('❌ Error: seed expects the number of organizations and, optionally, users (e.g., seed 20 100).\n');
+    process.exit(1);
+  }
+  const [organizations, users = 0] = counts;
+  if (organizations + users === 0) {
+    console.error('❌ Error: Nothing to seed - give a number of organizations or users.\n');
+    process.exit(1);
+  }
+
+  const membershipsPerUser = membershipsValue === null
+    ? Math.min(DEFAULT_SEED_OPTIONS.membershipsPerUser, organizations)
+    : Number(membershipsValue);
+
+  return {
+    command: 'seed',
+    seed: {
+      organizations,
+      users,
+      organizationName,
+      emailPattern,
+      emailDomains: emailDomainValue ? emailDomainValue.split(',').map(domain => domain.trim()).filter(Boolean) : DEFAULT_SEED_OPTIONS.emailDomains,
+      membershipsPerUser,
+      tags
+    },
+    manifestPath,
+    ...options
+  };
+}
+
+/**
+ * Rate limits and concurrency: the profile's, falling back to the defaults
+ * (CONCURRENCY and MAX_REQUESTS_PER_SECOND for users)
+ */
+function resolveLimits(profile) {
+  const limits = profile?.limits || {};
+  const resolved = {
+    organizations: {
+      requestsPerMinute: limits.organizations?.requestsPerMinute ?? ORG_REQUESTS_PER_MINUTE,
+      concurrency: limits.organizations?.concurrency ?? ORG_CONCURRENCY_LIMIT
+    },
+    users: {
+      requestsPerSecond: limits.users?.requestsPerSecond ?? MAX_REQUESTS_PER_SECOND,
+      concurrency: limits.users?.concurrency ?? USER_CONCURRENCY_LIMIT
+    }
+  };
+  for (const name of [...DEPENDENT_TYPES.map(getPhaseName), 'reads']) {
+    resolved[name] = { ...DEFAULT_LIMITS[name], ...limits[name] };
+  }
+  return resolved;
+}
+
+/**
+ * Validate the filter and attach it to the run options
+ */
+function buildFilterOptions(filter, timeZone, options) {
+  // Compile once up front so an invalid filter fails before anything runs
+  if (filter) {
+    try {
+      compileFilter(filter, timeZone, Date.now());
+    } catch (error) {
+      console.error(`❌ Error: Invalid filter: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  return {
+    ...options,
+    filter,
+    filterExpression: filter ? filterToString(filter) : null,
+    timeZone
+  };
+}
+
+/**
+ * Show help information
+ */
+function showHelp() {
+  console.log('WorkOS Bulk Deletion Script');
+  console.log('');
+  console.log('Optimized for WorkOS API rate limits:');
+  console.log('  - Organizations: 50 requests per 60 seconds (~50/min) with 5 concurrent operations');
+  console.log('  - User Management: 40 requests per second (~2,400/min) with 40 concurrent operations');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node delete-orgs.js [options] <date>');
+  console.log('  node delete-orgs.js [options] <start> <end>');
+  console.log('  node delete-orgs.js [options] --resume <journal>');
+  console.log('  node delete-orgs.js [options] restore <snapshot>');
+  console.log('  node delete-orgs.js [options] retry-failed <report>');
+  console.log('  node delete-orgs.js [options] seed <orgs> [users]');
+  console.log('  node delete-orgs.js [options] inspect [filters]');
+  console.log('  node delete-orgs.js [options] watch --retention <age> (--interval <d> | --cron "<expr>") [filters]');
+  console.log('  node delete-orgs.js [options] mark [filters]');
+  console.log('  node delete-orgs.js [options] sweep --grace <duration> [filters]');
+  console.log('  node delete-orgs.js [options] unmark [filters]');
+  console.log('');
+  console.log('  node delete-orgs.js [options] --filter <expression>');
+  console.log('  node delete-orgs.js [options] --ids-file <path>');
+  console.log('');
+  console.log('Arguments:');
+  console.log('  <date>        Single date in YYYY-MM-DD format');
+  console.log('  <start>       Start date for range in YYYY-MM-DD format');
+  console.log('  <end>         End date for range in YYYY-MM-DD format (inclusive)');
+  console.log('');
+  console.log('Filters (all given filters must match):');
+  console.log('  --filter <expr>              Filter expression (see below)');
+  console.log('  --created-after <date>       createdAt after a YYYY-MM-DD day or ISO timestamp');
+  console.log('  --created-before <date>      createdAt before a YYYY-MM-DD day or ISO timestamp');
+  console.log('  --updated-after <date>       updatedAt after a YYYY-MM-DD day or ISO timestamp');
+  console.log('  --updated-before <date>      updatedAt before a YYYY-MM-DD day or ISO timestamp');
+  console.log('  --older-than <duration>      Created more than <duration> ago (e.g., 30d, 12h, 2w)');
+  console.log('  --newer-than <duration>      Created less than <duration> ago');
+  console.log('  --name <regex>               Organization name / user full name matches regex');
+  console.log('  --email <regex>              User email matches regex');
+  console.log('  --email-domain <d1,d2>       User email domain or organization domain');
+  console.log('  --external-id-prefix <p>     externalId starts with <p>');
+  console.log('  --metadata <key=value>       Metadata key equals value (repeatable)');
+  console.log('  --tz <timezone>              Timezone for YYYY-MM-DD days (default: UTC)');
+  console.log('  --ids-file <path>            Delete the org_/user_ IDs listed in a CSV,');
+  console.log('                               newline-delimited or JSON file');
+  console.log('');
+  console.log('Filter expressions:');
+  console.log('  <field> <op> <value>, combined with AND, OR, NOT and parentheses');
+  console.log('  Fields: created, updated, age, updated-age, id, name, email,');
+  console.log('          email-domain, external-id, metadata.<key>, marked, marked-age');
+  console.log('  Operators: = != < <= > >= ~ (regex) ^= (prefix)');
+  console.log('  email and email-domain compare case-insensitively, regexes included');
+  console.log('');
+  console.log('Options:');
+  console.log('  --users       Also delete users matching the filter');
+  console.log('  --cascade-members  Also delete users whose only memberships are in the');
+  console.log('                     targeted organizations (users are not date-filtered)');
+  console.log('  --orphans     Delete users without any organization membership');
+  console.log('                (no organizations are deleted; filters narrow the users)');
+  console.log('  --invitations  Revoke the pending invitations of each targeted organization');
+  console.log('  --directories  Delete the Directory Sync directories of each targeted organization');
+  console.log('  --connections  Delete the SSO connections of each targeted organization');
+  console.log('  --domains      Delete the domains of each targeted organization');
+  console.log('                 Dependents are deleted in this order before their organization;');
+  console.log('                 an organization whose dependents fail to delete is kept');
+  console.log('  --dry-run     Show what would be deleted without actually deleting');
+  console.log('  --debug       Show detailed debug information');
+  console.log('  --journal <path>  Write the checkpoint journal to <path>');
+  console.log(`                    (default: ${JOURNAL_DIR}/run-<timestamp>.jsonl)`);
+  console.log('  --protected <path>  Protected org IDs, domains and emails (JSON) that are');
+  console.log(`                      never deleted (default: ${DEFAULT_PROTECTED_FILE} if present)`);
+  console.log('  --max-delete <n>    Abort a phase when more than <n> entities match');
+  console.log('  --interactive       Page through the matched organizations and users to search,');
+  console.log('                      include or exclude entries and save the selection before deleting');
+  console.log('  --limit <n>         Stop cleanly after <n> deletions (continue later with --resume)');
+  console.log('  --max-duration <d>  Stop cleanly after a duration such as 15m or 2h');
+  console.log('  --verify            Re-fetch every deleted ID after the run and fail if any still exist');
+  console.log('  --verify-sample <rate>  Verify a random sample instead, e.g. 0.1 or 10%');
+  console.log('  -y, --yes           Skip the typed confirmation (required when stdin is not a TTY)');
+  console.log('  --report <path>     Write an audit report of the run (.csv for CSV, otherwise JSON)');
+  console.log('  --profile <name>    Use a named profile: its API key variable, limits,');
+  console.log('                      protected entities and default filter');
+  console.log(`  --config <path>     Config file with the profiles (default: ${DEFAULT_CONFIG_FILE})`);
+  console.log('  --simulate <fixture>  Run against an in-process fake WorkOS loaded from a JSON');
+  console.log('                        fixture (no network, no API key; the file is not modified)');
+  console.log('  --faults <spec>       Faults injected by --simulate, e.g.');
+  console.log('                        "429=0.05,5xx=0.01,latency=20-200,retry-after=1,seed=7";');
+  console.log('                        reappear=<rate> brings deleted entities back (for --verify)');
+  console.log('  --output <mode>     tty: progress bar (default on a terminal), plain: a progress line');
+  console.log('                      every few seconds and no emoji (default otherwise), ndjson: one');
+  console.log('                      JSON event per line on stdout, human-readable output on stderr');
+  console.log(`  --progress-interval <s>  Seconds between plain progress lines (default: ${DEFAULT_PROGRESS_INTERVAL})`);
+  console.log('  --metrics-port <[host:]port>  Serve Prometheus metrics (/metrics) and a JSON status');
+  console.log('                        (/status) while the run lasts (host defaults to 127.0.0.1)');
+  console.log('  --resume <path>   Resume an interrupted run from its journal,');
+  console.log('                    skipping IDs that were already deleted');
+  console.log('  --refresh         List all organizations and users again instead of only what was');
+  console.log(`                    created since the listing cache (${LISTING_CACHE_DIR}/) was written`);
+  console.log('  --no-cache        Neither read nor update the listing cache');
+  console.log('');
+  console.log('Commands:');
+  console.log('  restore <snapshot>  Recreate the organizations in a pre-deletion snapshot');
+  console.log(`                      (snapshots are written to ${SNAPSHOT_DIR}/ before every deletion)`);
+  console.log('  seed <orgs> [users]  Create synthetic organizations and users, writing a manifest');
+  console.log(`                       of their IDs to ${MANIFEST_DIR}/ (delete them again with --ids-file)`);
+  console.log('    --org-name <pattern>       Organization names (default: "Seed Org {n}")');
+  console.log('    --email-pattern <pattern>  User emails (default: "seed-{run}-{n}@{domain}")');
+  console.log('    --email-domain <d1,d2>     Email domains, used round-robin (default: example.com)');
+  console.log('    --memberships <n>          Organizations each user joins (default: 1)');
+  console.log('    --tag <key=value>          Metadata on every seeded entity (repeatable)');
+  console.log('    --manifest <path>          Where to write the manifest');
+  console.log('  inspect [filters]  Count what the filters select without deleting: a histogram by');
+  console.log('                     creation date, top domains and name prefixes, and the estimated');
+  console.log('                     deletion time (no filter inspects everything; --users adds users)');
+  console.log('    --group-by <day|week|month>  Histogram buckets (default: day)');
+  console.log('    --top <n>                    Domains and name prefixes to list (default: 10)');
+  console.log('  watch --retention <age> (--interval <d> | --cron "<expr>") [filters]');
+  console.log('                     Stay running and delete what is older than <age> on every');
+  console.log('                     pass; overlapping ticks are skipped (requires --yes or --dry-run)');
+  console.log('    --lock <path>                Lock file against a second watcher');
+  console.log(`                                 (default: ${DEFAULT_LOCK_FILE})`);
+  console.log(`  mark [filters]     Tag what the filters select with metadata.${MARK_METADATA_KEY}`);
+  console.log('                     instead of deleting it (already marked entities keep their mark)');
+  console.log('  sweep --grace <duration> [filters]  Delete what the filters select and was marked');
+  console.log('                     more than <duration> ago (takes every deletion option)');
+  console.log('  unmark [filters]   Remove the mark again, by filter or --ids-file (no filter:');
+  console.log('                     every marked entity; the protected list does not apply)');
+  console.log('  retry-failed <report>  Re-check and retry the failures in a --report file at');
+  console.log(`                         ${RETRY_RATE_FACTOR * 100}% of the normal rate, writing a new report`);
+  console.log('                         (default: <report>.retry.json); filters narrow it further');
+  console.log('    --permanent-status <codes>  Failures to skip as permanent');
+  console.log(`                                (default: ${DEFAULT_PERMANENT_STATUSES.join(',')}; "none" retries all)`);
+  console.log('  -h, --help    Show this help message');
+  console.log('');
+  console.log('Environment Variables:');
+  console.log('  WORKOS_API_KEY              Your WorkOS API key (required without --profile;');
+  console.log('                              a profile names its own variable)');
+  console.log('  CONCURRENCY                 Max concurrent user deletions (default: 40)');
+  console.log('  MAX_REQUESTS_PER_SECOND     Max requests per second for user management (default: 40)');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node delete-orgs.js 2005-12-17');
+  console.log('  node delete-orgs.js --users 2005-12-17 2005-12-25');
+  console.log('  node delete-orgs.js --dry-run 2005-12-17');
+  console.log('  node delete-orgs.js --users --older-than 30d --email-domain example.com');
+  console.log('  node delete-orgs.js --dry-run --ids-file ticket-1234.csv');
+  console.log('  node delete-orgs.js --users --interactive --older-than 30d');
+  console.log('  node delete-orgs.js --cascade-members 2005-12-17');
+  console.log('  node delete-orgs.js --connections --directories --domains --invitations --older-than 30d');
+  console.log('  node delete-orgs.js --users --report reports/2005-12-17.json 2005-12-17');
+  console.log('  node delete-orgs.js --users --verify-sample 10% --yes --older-than 90d');
+  console.log('  node delete-orgs.js --dry-run --orphans --older-than 30d');
+  console.log(`  node delete-orgs.js --filter 'created >= 2005-12-01 AND (name ~ "^Test" OR NOT metadata.env = prod)'`);
+  console.log('  node delete-orgs.js --resume journals/run-2005-12-17T10-00-00-000Z.jsonl');
+  console.log('  node delete-orgs.js restore snapshots/snapshot-2005-12-17T10-00-00-000Z.jsonl');
+  console.log('  node delete-orgs.js retry-failed reports/2005-12-17.json');
+  console.log('  node delete-orgs.js --profile staging --older-than 30d');
+  console.log('  node delete-orgs.js seed 20 100 --memberships 2 --tag team=qa');
+  console.log('  node delete-orgs.js watch --retention 7d --cron "0 3 * * *" --tz Europe/Berlin --external-id-prefix e2e- --yes');
+  console.log('  node delete-orgs.js mark --users --older-than 90d --yes');
+  console.log('  node delete-orgs.js sweep --grace 14d --users --older-than 90d --yes');
+  console.log('  node delete-orgs.js inspect --users --older-than 90d --group-by week');
+  console.log('  node delete-orgs.js --simulate fixtures/sample-tenant.json --faults 429=0.1 --users --yes --older-than 30d');
+  console.log('  CONCURRENCY=50 node delete-orgs.js --users 2005-12-17');
+  console.log('');
+  console.log('Performance:');
+  console.log('  Organizations:');
+  console.log('    - 50 deletions: ~60 seconds');
+  console.log('    - 500 deletions: ~10 minutes');
+  console.log('    - 1,000 deletions: ~20 minutes');
+  console.log('  Users:');
+  console.log('    - 1,000 deletions: ~25 seconds');
+  console.log('    - 10,000 deletions: ~4 minutes');
+  console.log('    - 100,000 deletions: ~42 minutes');
+  console.log('');
+}
+
+/**
+ * Adapt human-facing output to the output mode: outside a terminal emoji are
+ * dropped, and with ndjson it moves to stderr so stdout carries only events
+ */
+function configureConsole(mode) {
+  if (mode === 'tty') {
+    return;
+  }
+  const strip = (args) => args.map(arg => (typeof arg === 'string' ? arg.replace(/(\p{Extended_Pictographic}|\uFE0F)+ */gu, '') : arg));
+  const log = mode === 'ndjson' ? console.error : console.log;
+  const error = console.error;
+  console.log = (...args) => log(...strip(args));
+  console.error = (...args) => error(...strip(args));
+}
+
+// Get run options and target filter from command line arguments
+const runOptions = parseArguments();
+configureConsole(runOptions.output.mode);
+
+/**
+ * Default path for the report of a retry: reports/run.json -> reports/run.retry.json
+ */
+function getRetryReportPath(reportPath) {
+  const extension = path.extname(reportPath) || '.json';
+  return reportPath.slice(0, reportPath.length - path.extname(reportPath).length) + '.retry' + extension;
+}
+
+/**
+ * Deletion limits for the bulk deleter (slower when retrying failures)
+ */
+function getDeletionLimits() {
+  const factor = runOptions.retry ? RETRY_RATE_FACTOR : 1;
+  const scaled = (concurrency) => Math.max(1, Math.floor(concurrency * factor));
+  const { organizations, ...perSecond } = runOptions.limits;
+  const limits = {
+    organizations: { requestsPerMinute: organizations.requestsPerMinute * factor, concurrency: scaled(organizations.concurrency) }
+  };
+  for (const [name, { requestsPerSecond, concurrency }] of Object.entries(perSecond)) {
+    limits[name] = { requestsPerSecond: requestsPerSecond * factor, concurrency: scaled(concurrency) };
+  }
+  return limits;
+}
+
+/**
+ * Whether users may be deleted alongside the organizations: only when no
+ * confirmation prompt or --max-delete abort can cut into the other phase
+ */
+function allowsConcurrentPhases() {
+  if (runOptions.interactive) {
+    return false;
+  }
+  return runOptions.dryRun || (runOptions.yes && runOptions.maxDelete === null);
+}
+
+/**
+ * Safety guards between target selection and deletion.
+ * When a match count is needed (--max-delete, the typed confirmation or the
+ * --interactive review), a streamed target list is fully listed first.
+ */
+async function applySafetyGuards(targets, entityType, { exclude } = {}) {
+  // Dependents follow their organizations and are not reviewed
+  if (runOptions.interactive && (entityType === 'organization' || entityType === 'user')) {
+    const { selected, excluded } = await reviewTargets(await collectTargets(targets), entityType);
+    exclude(excluded);
+    targets = selected;
+  }
+
+  if (runOptions.dryRun || (runOptions.yes && runOptions.maxDelete === null)) {
+    return targets;
+  }
+
+  const list = await collectTargets(targets);
+  if (!Array.isArray(targets)) {
+    if (list.length > 0 && list.length <= 20) {
+      printTargetList(list, entityType);
+    }
+  }
+
+  if (list.length === 0) {
+    return list;
+  }
+
+  if (runOptions.maxDelete !== null && list.length > runOptions.maxDelete && runOptions.command === 'watch') {
+    // A watch keeps running; only this pass is abandoned
+    throw new Error(`${list.length} ${entityType}(s) match, which exceeds --max-delete ${runOptions.maxDelete}. Nothing was deleted in this phase.`);
+  }
+  if (runOptions.maxDelete !== null && list.length > runOptions.maxDelete) {
+    console.error(`❌ Aborting: ${list.length} ${entityType}(s) match, which exceeds --max-delete ${runOptions.maxDelete}.`);
+    console.error('   Nothing was deleted in this phase. Narrow the filter or raise the cap.\n');
+    process.exit(1);
+  }
+
+  if (!runOptions.yes) {
+    const confirmed = await confirmCount(list.length, entityType);
+    if (!confirmed) {
+      console.error('❌ Aborted: confirmation did not match. Nothing was deleted in this phase.\n');
+      process.exit(1);
+    }
+    console.log('');
+  }
+
+  return list;
+}
+
+/**
+ * Ask the operator to type the number of entities about to be deleted (or
+ * otherwise acted on)
+ */
+async function confirmCount(count, entityType, action = 'permanently delete') {
+  if (!process.stdin.isTTY) {
+    console.error(`❌ Error: About to ${action} ${count} ${entityType}(s) but stdin is not a terminal.`);
+    console.error('   Pass --yes to confirm non-interactively.\n');
+    process.exit(1);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: runOptions.output.mode === 'ndjson' ? process.stderr : process.stdout });
+  const answer = await new Promise(resolve => {
+    rl.question(`⚠️  About to ${action} ${count} ${entityType}(s). Type ${count} to continue: `, resolve);
+  });
+  rl.close();
+
+  return answer.trim() === String(count);
+}
+
+const REVIEW_COMMANDS = [
+  '  n, p, g <page>  Next page (also Enter), previous page, go to a page',
+  '  s <text>        Show only entries whose name, ID or domain contains the text (s alone: show all)',
+  '  t <numbers>     Toggle entries by number, e.g. t 3 5-8',
+  '  i [pattern]     Include entries matching a regular expression (no pattern: the entries shown)',
+  '  x [pattern]     Exclude entries matching a regular expression (no pattern: the entries shown)',
+  '  w <path>        Save the selected IDs to a JSON file for --ids-file',
+  '  d               Done: continue with the selected entries',
+  '  q               Quit without deleting anything in this phase'
+];
+
+/**
+ * Let the operator page through, search, include and exclude the targets
+ * of a phase (--interactive). Returns { selected, excluded }.
+ */
+async function reviewTargets(list, entityType) {
+  // Leave room for the heading and the prompt
+  const review = createReview(list, entityType, { pageSize: Math.max(5, (process.stdout.rows || 30) - 6) });
+  if (list.length === 0) {
+    return review.result();
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const ask = (prompt) => new Promise(resolve => rl.question(prompt, resolve));
+  const abort = () => {
+    rl.close();
+    console.error('\n❌ Aborted: review cancelled. Nothing was deleted in this phase.\n');
+    process.exit(1);
+  };
+  rl.on('SIGINT', abort);
+
+  console.log(`🔎 Review: ${list.length} ${getPhaseName(entityType)} match, all selected. Type ? for the commands.`);
+  let redraw = true;
+  for (;;) {
+    if (redraw) {
+      printReviewPage(review);
+    }
+    redraw = true;
+    const line = (await ask(`[${review.selectedCount}/${list.length} selected] > `)).trim();
+    const command = line.split(/\s+/)[0].toLowerCase();
+    const argument = line.slice(command.length).trim();
+    try {
+      if (command === '' || command === 'n') {
+        review.goTo(review.page + 1);
+      } else if (command === 'p') {
+        review.goTo(review.page - 1);
+      } else if (command === 'g') {
+        const page = Number(argument);
+        if (!Number.isInteger(page) || page < 1) {
+          throw new Error(`g expects a page number (1-${review.pageCount})`);
+        }
+        review.goTo(page - 1);
+      } else if (command === 's') {
+        review.search(argument);
+      } else if (command === 't') {
+        console.log(`   Toggled ${review.toggle(parseNumberList(argument))} entries`);
+      } else if (command === 'i' || command === 'x') {
+        const changed = review.setMatching(argument, command === 'i');
+        console.log(`   ${command === 'i' ? 'Included' : 'Excluded'} ${changed} entries`);
+      } else if (command === 'w') {
+        saveSelection(argument, entityType, review.selectedIds());
+        redraw = false;
+      } else if (command === 'd') {
+        rl.close();
+        const result = review.result();
+        console.log(`\n✅ Review done: ${result.selected.length} selected, ${result.excluded.length} excluded\n`);
+        return result;
+      } else if (command === 'q') {
+        abort();
+      } else if (command === '?' || command === 'h') {
+        console.log(REVIEW_COMMANDS.join('\n'));
+        redraw = false;
+      } else {
+        throw new Error(`Unknown command "${command}" (type ? for the commands)`);
+      }
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      redraw = false;
+    }
+  }
+}
+
+/**
+ * Print the current page of a review: selection, number, name, ID,
+ * createdAt and domain
+ */
+function printReviewPage(review) {
+  const fit = (text, width) => (text.length > width ? text.slice(0, width - 1) + '…' : text.padEnd(width));
+  const rows = review.currentPage();
+  const numberWidth = String(review.entries.length).length;
+  const nameWidth = Math.min(32, Math.max(4, ...rows.map(entry => entry.columns.name.length)));
+  const heading = review.query ? `${review.view.length} matching "${review.query}"` : `${review.view.length} ${getPhaseName(review.entityType)}`;
+
+  console.log(`\n${heading} - page ${review.page + 1}/${review.pageCount}`);
+  if (rows.length === 0) {
+    console.log('   (none)');
+  }
+  for (const { number, selected, columns } of rows) {
+    console.log(`  ${selected ? '[x]' : '[ ]'} ${String(number).padStart(numberWidth)}. ${fit(columns.name, nameWidth)}  ${columns.id}  ${columns.createdAt || '-'}  ${fit(columns.domain || '-', 40).trimEnd()}`);
+  }
+}
+
+/**
+ * Save the selected IDs of a phase for --ids-file. An existing file keeps
+ * the other phase's IDs, so both reviews of a run can go to one file.
+ */
+function saveSelection(filePath, entityType, ids) {
+  if (!filePath) {
+    throw new Error('w expects a file path');
+  }
+  const saved = fs.existsSync(filePath) ? loadIdsFile(filePath) : { organizations: [], users: [] };
+  saved[getPhaseName(entityType)] = ids;
+  writeIdsFile(filePath, saved);
+  console.log(`   💾 Saved ${ids.length} ${getPhaseName(entityType)} to ${filePath}`);
+}
+
+/**
+ * Print the first entities of a target list
+ */
+function printTargetList(entities, entityType, heading = 'to be deleted') {
+  console.log(`${getPhaseName(entityType)} ${heading}:`);
+  const displayCount = Math.min(entities.length, 20);
+  for (let i = 0; i < displayCount; i++) {
+    const entity = entities[i];
+    console.log(`   ${i + 1}. ${getEntityName(entity, entityType)} (ID: ${entity.id})`);
+  }
+  if (entities.length > 20) {
+    console.log(`   ... and ${entities.length - 20} more`);
+  }
+  console.log('');
+}
+
+// Terminal display shared by the progress bars of phases that run at the same time
+let progressDisplay = null;
+
+/**
+ * Add a bar to the progress display, starting the display if needed.
+ * While bars are drawn, console output is logged above them.
+ */
+function createProgressBar(barFormat, total, payload) {
+  if (!progressDisplay) {
+    const multibar = new cliProgress.MultiBar({
+      barCompleteChar: '\u2588',
+      barIncompleteChar: '\u2591',
+      hideCursor: true,
+      clearOnComplete: false,
+      // Stopped explicitly - with a growing total a bar can briefly be "complete"
+      stopOnComplete: false
+    }, cliProgress.Presets.shades_classic);
+    const { log, error } = console;
+    console.log = console.error = (...args) => multibar.log(format(...args) + '\n');
+    progressDisplay = { multibar, bars: 0, restoreConsole: () => Object.assign(console, { log, error }) };
+  }
+  progressDisplay.bars++;
+  return progressDisplay.multibar.create(total, 0, payload, { format: barFormat });
+}
+
+/**
+ * Stop a bar; the display ends (leaving the final bars on screen) with its last bar
+ */
+function releaseProgressBar(bar) {
+  bar.stop();
+  if (--progressDisplay.bars > 0) {
+    return;
+  }
+  // Flush what was logged since the last redraw
+  progressDisplay.multibar.update();
+  progressDisplay.multibar.stop();
+  progressDisplay.restoreConsole();
+  progressDisplay = null;
+}
+
+/**
+ * Progress tracker for concurrent operations with visual progress bar.
+ * Pass a null total when targets are still being listed: the total then
+ * grows with addToTotal() and is shown as "N+" until finalizeTotal().
+ * Outside tty output it logs a progress line every --progress-interval
+ * seconds instead of drawing a bar.
+ */
+class ProgressTracker {
+  constructor(total, entityType, action = { verb: 'Deleting', noun: 'deletions' }) {
+    this.totalKnown = total !== null;
+    this.total = total ?? 0;
+    this.entityType = entityType;
+    this.action = action;
+    this.completed = 0;
+    this.successful = 0;
+    this.failed = 0;
+    this.startTime = Date.now();
+    this.finished = false;
+    this.progressBar = null;
+    this.timer = null;
+
+    if (runOptions.output.mode !== 'tty') {
+      this.timer = setInterval(() => this.logLine(), runOptions.output.progressInterval * 1000);
+      this.timer.unref();
+      return;
+    }
+
+    // One bar per phase; concurrent phases share the display
+    this.progressBar = createProgressBar(`   ${action.verb} ${getPhaseName(entityType)} |{bar}| {percentage}% | {value}/{total}{more} | ✓ {successful} ❌ {failed} | {speed} | ETA: {eta_formatted}`, this.total, {
+      successful: 0,
+      failed: 0,
+      speed: '0/s',
+      more: this.totalKnown ? '' : '+'
+    });
+  }
+
+  /**
+   * Add newly listed targets to the total
+   */
+  addToTotal(count) {
+    this.total += count;
+    this.progressBar?.setTotal(this.total);
+  }
+
+  /**
+   * Mark the total as final (listing finished)
+   */
+  finalizeTotal() {
+    this.totalKnown = true;
+    this.progressBar?.update({ more: '' });
+    this.checkCompletion();
+  }
+
+  update(success) {
+    this.completed++;
+    if (success) {
+      this.successful++;
+    } else {
+      this.failed++;
+    }
+
+    // Update the progress bar
+    this.progressBar?.update(this.completed, {
+      successful: this.successful,
+      failed: this.failed,
+      speed: this.getSpeedDisplay()
+    });
+
+    this.checkCompletion();
+  }
+
+  getSpeedDisplay() {
+    const elapsed = (Date.now() - this.startTime) / 1000;
+    const rate = this.completed / elapsed;
+    return rate >= 1 ? `${rate.toFixed(1)}/s` : `${(rate * 60).toFixed(1)}/min`;
+  }
+
+  // Handle completion
+  checkCompletion() {
+    if (this.finished || !this.totalKnown || this.completed !== this.total) {
+      return;
+    }
+
+    this.stop();
+    const elapsed = (Date.now() - this.startTime) / 1000;
+    const totalTime = elapsed.toFixed(1);
+    const avgRate = elapsed > 0 ? (this.total / elapsed).toFixed(1) : this.total;
+    console.log(`\n✓ Completed ${this.total} ${this.entityType} ${this.action.noun} in ${totalTime}s (avg: ${avgRate}/s)\n`);
+  }
+
+  /**
+   * One progress line for plain output
+   */
+  logLine() {
+    const percentage = this.total > 0 ? ` (${Math.floor(this.completed / this.total * 100)}%)` : '';
+    const elapsed = (Date.now() - this.startTime) / 1000;
+    const rate = this.completed / elapsed;
+    const eta = this.totalKnown && rate > 0 ? `, ETA ${formatDuration(Math.ceil((this.total - this.completed) / rate))}` : '';
+    console.log(`   ${this.action.verb} ${getPhaseName(this.entityType)}: ${this.completed}/${this.total}${this.totalKnown ? '' : '+'}${percentage}, ${this.successful} ok, ${this.failed} failed, ${this.getSpeedDisplay()}${eta}`);
+  }
+
+  /**
+   * Stop drawing (or logging) progress
+   */
+  stop() {
+    if (this.progressBar && !this.finished) {
+      releaseProgressBar(this.progressBar);
+    }
+    this.finished = true;
+    clearInterval(this.timer);
+  }
+}
+
+/**
+ * Print the bulk deleter's progress events to the console
+ */
+function attachConsoleOutput(deleter) {
+  // Display state per phase (organization and user phases can overlap)
+  const phases = {};
+  // Verification progress per entity type
+  const verifying = {};
+
+  deleter.on('phase-start', ({ entityType, resumed }) => {
+    phases[entityType] = { progress: null, reported: false };
+    if (resumed) {
+      const rest = resumed.remaining === null ? 'listing again for the rest' : `${resumed.remaining} remaining`;
+      console.log(`↩️  Resuming ${getPhaseName(entityType)}: ${resumed.succeeded} already deleted, ${rest}\n`);
+    }
+  });
+
+  deleter.on('lookup-start', ({ entityType, count, source }) => {
+    console.log(`📋 Looking up ${count} ${entityType}(s) from ${source}...\n`);
+  });
+
+  deleter.on('lookup-complete', ({ entityType, requested, found, missing, durationMs }) => {
+    console.log(`✓ Found ${found} of ${requested} ${entityType}(s) in ${(durationMs / 1000).toFixed(1)}s\n`);
+    if (missing.length > 0) {
+      console.log(`   ⚠️  ${missing.length} ${entityType} ID(s) do not exist:`);
+      const displayCount = runOptions.debug ? missing.length : Math.min(missing.length, 20);
+      missing.slice(0, displayCount).forEach(id => console.log(`      - ${id}`));
+      if (missing.length > displayCount) {
+        console.log(`      ... and ${missing.length - displayCount} more`);
+      }
+      console.log('');
+    }
+  });
+
+  deleter.on('targets', ({ entityType, targets, filtered }) => {
+    if (filtered) {
+      console.log(`🔍 Filtering ${getPhaseName(entityType)} matching: ${deleter.filterExpression}...\n`);
+    }
+    console.log(`✓ Found ${targets.length} ${entityType}(s) to delete\n`);
+    printProtectedSkipped(entityType, deleter.skipped);
+    if (targets.length > 0 && (runOptions.debug || targets.length <= 20)) {
+      printTargetList(targets, entityType);
+    }
+  });
+
+  deleter.on('listing-start', ({ entityType, filterExpression, createdCutoff }) => {
+    console.log(`📋 Listing ${getPhaseName(entityType)}${filterExpression ? ` matching: ${filterExpression}` : ''}...`);
+    if (createdCutoff !== null) {
+      console.log(`   Listing stops at records created before ${new Date(createdCutoff).toISOString()}`);
+    }
+    console.log('');
+  });
+
+  deleter.on('page', ({ entityType, entities, fetched }) => {
+    if (runOptions.debug) {
+      console.log(`   ✓ Retrieved ${entities} ${getPhaseName(entityType)} (total: ${fetched})`);
+    }
+  });
+
+  deleter.on('listing-complete', ({ entityType, pages, fetched, cached, matched, stoppedEarly, durationMs }) => {
+    const cutoffNote = stoppedEarly ? ', stopped early at the createdAt cutoff' : '';
+    const cacheNote = cached > 0 ? ` (${cached} fetched again by ID from the listing cache)` : '';
+    console.log(`\n✓ Listed ${fetched} ${getPhaseName(entityType)}${cacheNote} in ${pages} page(s) over ${(durationMs / 1000).toFixed(1)}s${cutoffNote}; ${matched} matched\n`);
+    printProtectedSkipped(entityType, deleter.skipped);
+    phases[entityType]?.progress?.finalizeTotal();
+  });
+
+  deleter.on('protected', ({ entityType, entity }) => {
+    if (runOptions.debug) {
+      console.log(`   🛡️  Skipping protected ${entityType} ${getEntityName(entity, entityType)} (${entity.id})`);
+    }
+  });
+
+  deleter.on('warning', ({ message }) => {
+    console.log(`   ⚠️  ${message}`);
+  });
+
+  deleter.on('cascade-start', ({ organizations }) => {
+    console.log(`👥 Listing members of ${organizations} targeted organization(s)...\n`);
+  });
+
+  deleter.on('cascade-plan', ({ plan, members, durationMs }) => {
+    console.log(`✓ Found ${members} member(s) in ${(durationMs / 1000).toFixed(1)}s: ${plan.candidates.length} only belong to targeted organizations, ${plan.skipped.length} also belong elsewhere\n`);
+  });
+
+  deleter.on('dependents-start', ({ entityType, organizations }) => {
+    console.log(`🔗 Listing ${entityType === 'invitation' ? 'pending invitations' : getPhaseName(entityType)} of ${organizations} targeted organization(s)...\n`);
+  });
+
+  deleter.on('dependents-found', ({ entityType, targets, durationMs }) => {
+    console.log(`✓ Found ${targets.length} ${entityType}(s) to delete in ${(durationMs / 1000).toFixed(1)}s\n`);
+    if (targets.length > 0 && (runOptions.debug || targets.length <= 20)) {
+      printTargetList(targets, entityType);
+    }
+  });
+
+  deleter.on('snapshot', ({ entityType, count, path: snapshotPath }) => {
+    if (runOptions.debug) {
+      console.log(`💾 Saved ${count} ${entityType}(s) to snapshot ${snapshotPath}`);
+    }
+  });
+
+  deleter.on('dry-run', ({ entityType, targets, streaming }) => {
+    phases[entityType].reported = true;
+    if (streaming) {
+      printTargetList(targets, entityType);
+    }
+    console.log(`🔍 DRY RUN: Would delete ${targets.length} ${entityType}(s)\n`);
+  });
+
+  deleter.on('delete-start', ({ entityType, total, requestsPerSecond, concurrency }) => {
+    phases[entityType].reported = true;
+    if (total === null) {
+      console.log(`🗑️  Deleting ${getPhaseName(entityType)} as they are listed...`);
+    } else {
+      console.log(`🗑️  Deleting ${total} ${entityType}(s)...`);
+    }
+    console.log(`   Concurrency: ${concurrency} parallel operations`);
+    console.log(`   Rate limit: ${requestsPerSecond.toFixed(2)} req/s`);
+    if (total !== null) {
+      console.log(`   Estimated time: ~${Math.ceil(total / requestsPerSecond)}s`);
+    }
+    console.log('');
+    phases[entityType].progress = new ProgressTracker(total, entityType);
+  });
+
+  deleter.on('target', ({ entityType }) => {
+    phases[entityType].progress.addToTotal(1);
+  });
+
+  deleter.on('deleted', ({ entityType }) => {
+    phases[entityType].progress.update(true);
+  });
+
+  deleter.on('failed', ({ entityType, entity, error }) => {
+    phases[entityType].progress.update(false);
+    if (runOptions.debug) {
+      console.log(`\n   ❌ Failed to delete ${getEntityName(entity, entityType)}: ${error.message}`);
+    }
+  });
+
+  deleter.on('retry', ({ kind, attempt, maxAttempts, delayMs, error }) => {
+    if (runOptions.debug) {
+      const reason = kind === 'rate-limit' ? 'Rate limit hit' : `Transient error (${error.message})`;
+      console.log(`   ⏳ ${reason}. Backing off for ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt}/${maxAttempts})...`);
+    }
+  });
+
+  deleter.on('stopping', ({ reason, inFlight }) => {
+    const wait = inFlight > 0 ? `, waiting for ${inFlight} in-flight deletion(s)` : '';
+    const again = reason === 'interrupted' ? ' (press Ctrl-C again to exit immediately)' : '';
+    console.log(`\n⏸️  Stopping (${STOP_REASONS[reason] || reason}): no new deletions${wait}...${again}\n`);
+  });
+
+  deleter.on('verify-start', ({ entityType, deleted, checking }) => {
+    const scope = checking < deleted ? `a sample of ${checking} of the ${deleted}` : `the ${deleted}`;
+    console.log(`🔎 Verifying ${scope} deleted ${entityType}(s) are gone...\n`);
+    verifying[entityType] = new ProgressTracker(checking, entityType, { verb: 'Verifying', noun: 'checks' });
+  });
+
+  deleter.on('verified', ({ entityType, outcome }) => {
+    verifying[entityType].update(outcome === 'gone');
+  });
+
+  deleter.on('verify-complete', ({ entityType, results }) => {
+    const discrepancies = results.stillExists.length + results.errors.length;
+    if (discrepancies > 0) {
+      console.log(`⚠️  ${results.stillExists.length} ${entityType}(s) still exist, ${results.errors.length} could not be checked\n`);
+    }
+  });
+
+  deleter.on('phase-complete', ({ entityType, throttled, rate, maxRate }) => {
+    const { progress, reported } = phases[entityType];
+    if (progress && !progress.finished) {
+      // Stopped early: the total was never reached
+      progress.stop();
+      console.log(`\n⏸️  Stopped after ${progress.completed} of ${progress.total}${progress.totalKnown ? '' : '+'} ${entityType} deletion(s)\n`);
+    } else if (!reported && !deleter.stopReason) {
+      console.log(`✓ No ${getPhaseName(entityType)} to delete.\n`);
+    }
+    if (throttled > 0) {
+      console.log(`⏳ Throttled ${throttled} time(s) by the API; rate is now ${rate.toFixed(2)} of ${maxRate.toFixed(2)} req/s\n`);
+    }
+  });
+
+  // Leave the terminal usable if a phase fails mid-way
+  return () => {
+    const trackers = [...Object.values(phases).map(phase => phase.progress), ...Object.values(verifying)];
+    for (const progress of trackers) {
+      if (progress && !progress.finished) {
+        progress.stop();
+      }
+    }
+  };
+}
+
+/**
+ * "connections" -> "Connections"
+ */
+function capitalize(text) {
+  return text[0].toUpperCase() + text.slice(1);
+}
+
+/**
+ * Note successes that were 404s (deleted before this attempt got to them)
+ */
+function printAlreadyDeleted(results) {
+  const alreadyDeleted = results.successful.filter(entity => entity.alreadyDeleted).length;
+  if (alreadyDeleted > 0) {
+    console.log(`     (${alreadyDeleted} were already deleted)`);
+  }
+}
+
+/**
+ * Print final summary
+ */
+function printSummary(results, skipped, verification = null) {
+  const { organizations: orgResults, users: userResults } = results;
+  const dependentPhases = runOptions.dependents.filter(name => results[name]);
+
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('                    DELETION SUMMARY                        ');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  if (runOptions.dryRun) {
+    console.log('🔍 DRY RUN MODE - No actual deletions were performed\n');
+  }
+
+  // Organizations summary (not applicable with --orphans)
+  if (orgResults) {
+    console.log('Organizations:');
+    console.log(`  ✓ Successfully deleted: ${orgResults.successful.length}`);
+    printAlreadyDeleted(orgResults);
+    console.log(`  ❌ Failed to delete:    ${orgResults.failed.length}`);
+    console.log(`  📊 Total processed:     ${orgResults.successful.length + orgResults.failed.length}\n`);
+  }
+
+  // Dependents deleted before their organizations (if any)
+  for (const name of dependentPhases) {
+    const phase = results[name];
+    console.log(`${capitalize(name)}${name === 'invitations' ? ' (revoked)' : ''}:`);
+    console.log(`  ✓ Successfully deleted: ${phase.successful.length}`);
+    printAlreadyDeleted(phase);
+    console.log(`  ❌ Failed to delete:    ${phase.failed.length}`);
+    console.log(`  📊 Total processed:     ${phase.successful.length + phase.failed.length}\n`);
+  }
+
+  // Users summary (if applicable)
+  if (userResults) {
+    console.log('Users:');
+    console.log(`  ✓ Successfully deleted: ${userResults.successful.length}`);
+    printAlreadyDeleted(userResults);
+    console.log(`  ❌ Failed to delete:    ${userResults.failed.length}`);
+    console.log(`  📊 Total processed:     ${userResults.successful.length + userResults.failed.length}\n`);
+  }
+
+  // Protected entities that matched but were skipped (if any)
+  const protectedOrgs = skipped.protected.organization.length;
+  const protectedUsers = skipped.protected.user.length;
+  if (protectedOrgs + protectedUsers > 0) {
+    console.log('Protected (matched but skipped):');
+    console.log(`  🛡️  Organizations: ${protectedOrgs}`);
+    console.log(`  🛡️  Users:         ${protectedUsers}\n`);
+  }
+
+  // Entities left out in the --interactive review (if any)
+  const excludedOrgs = skipped.excluded.organization.length;
+  const excludedUsers = skipped.excluded.user.length;
+  if (excludedOrgs + excludedUsers > 0) {
+    console.log('Excluded in review (matched but kept):');
+    console.log(`  ⏭️  Organizations: ${excludedOrgs}`);
+    console.log(`  ⏭️  Users:         ${excludedUsers}\n`);
+  }
+
+  // IDs from --ids-file that don't exist (if applicable)
+  if (runOptions.ids) {
+    const { missing } = skipped;
+    console.log(runOptions.retry ? 'Failed IDs that no longer exist:' : `IDs not found in ${runOptions.ids.path}:`);
+    console.log(`  ⚠️  Organizations: ${missing.organization.length}`);
+    console.log(`  ⚠️  Users:         ${missing.user.length}\n`);
+  }
+
+  // Failures retry-failed skipped as permanent (up to 10)
+  if (runOptions.retry && runOptions.retry.permanent.length > 0) {
+    const permanent = runOptions.retry.permanent;
+    console.log(`Permanent failures not retried (${permanent.length}, status ${runOptions.retry.permanentStatuses.join('/')}):`);
+    const displayCount = Math.min(permanent.length, 10);
+    for (let i = 0; i < displayCount; i++) {
+      const entry = permanent[i];
+      console.log(`   ${i + 1}. ${entry.name} (${entry.id}) - ${entry.status}: ${entry.error}`);
+    }
+    if (permanent.length > 10) {
+      console.log(`   ... and ${permanent.length - 10} more`);
+    }
+    console.log('');
+  }
+
+  // Dependent failures retry-failed has no organization for (up to 10)
+  if (runOptions.retry && runOptions.retry.notRetryable.length > 0) {
+    const notRetryable = runOptions.retry.notRetryable;
+    console.log(`Failures not retryable by this command (${notRetryable.length}, no organization recorded in the report):`);
+    const displayCount = Math.min(notRetryable.length, 10);
+    for (let i = 0; i < displayCount; i++) {
+      const entry = notRetryable[i];
+      console.log(`   ${i + 1}. ${entry.phase}: ${entry.name} (${entry.id}) - ${entry.error}`);
+    }
+    if (notRetryable.length > 10) {
+      console.log(`   ... and ${notRetryable.length - 10} more`);
+    }
+    console.log('');
+  }
+
+  // Members kept by --cascade-members (up to 10)
+  if (runOptions.cascadeMembers && skipped.cascadeMembers.length > 0) {
+    const members = skipped.cascadeMembers;
+    console.log(`Members not deleted (${members.length}):`);
+    const displayCount = Math.min(members.length, 10);
+    for (let i = 0; i < displayCount; i++) {
+      const entry = members[i];
+      console.log(`   ${i + 1}. ${entry.userId} - ${entry.reason}: ${entry.otherOrganizationIds.join(', ')}`);
+    }
+    if (members.length > 10) {
+      console.log(`   ... and ${members.length - 10} more`);
+    }
+    console.log('');
+  }
+
+  // Show failures if any (up to 10)
+  if (orgResults && orgResults.failed.length > 0) {
+    console.log('Failed organization deletions:');
+    const displayCount = Math.min(orgResults.failed.length, 10);
+    for (let i = 0; i < displayCount; i++) {
+      const org = orgResults.failed[i];
+      console.log(`   ${i + 1}. ${org.name} (${org.id})`);
+      console.log(`      Error: ${org.error}`);
+    }
+    if (orgResults.failed.length > 10) {
+      console.log(`   ... and ${orgResults.failed.length - 10} more failures${runOptions.reportPath ? ` (all listed in ${runOptions.reportPath})` : ' (use --report to record all of them)'}`);
+    }
+    console.log('');
+  }
+
+  for (const name of dependentPhases) {
+    const { failed } = results[name];
+    if (failed.length === 0) {
+      continue;
+    }
+    console.log(`Failed deletions of ${name} (their organizations were not deleted):`);
+    const displayCount = Math.min(failed.length, 10);
+    for (let i = 0; i < displayCount; i++) {
+      const entity = failed[i];
+      console.log(`   ${i + 1}. ${entity.name} (${entity.id}) of ${entity.organizationId}`);
+      console.log(`      Error: ${entity.error}`);
+    }
+    if (failed.length > 10) {
+      console.log(`   ... and ${failed.length - 10} more failures${runOptions.reportPath ? ` (all listed in ${runOptions.reportPath})` : ' (use --report to record all of them)'}`);
+    }
+    console.log('');
+  }
+
+  if (userResults && userResults.failed.length > 0) {
+    console.log('Failed user deletions:');
+    const displayCount = Math.min(userResults.failed.length, 10);
+    for (let i = 0; i < displayCount; i++) {
+      const user = userResults.failed[i];
+      console.log(`   ${i + 1}. ${user.name} (${user.id})`);
+      console.log(`      Error: ${user.error}`);
+    }
+    if (userResults.failed.length > 10) {
+      console.log(`   ... and ${userResults.failed.length - 10} more failures${runOptions.reportPath ? ` (all listed in ${runOptions.reportPath})` : ' (use --report to record all of them)'}`);
+    }
+    console.log('');
+  }
+
+  if (verification) {
+    printVerification(verification);
+  }
+
+  console.log('═══════════════════════════════════════════════════════════\n');
+}
+
+/**
+ * Verification section of the summary: counts per phase, then the entities
+ * that still exist or could not be checked (up to 10 each)
+ */
+function printVerification(verification) {
+  const phases = Object.entries(verification);
+  console.log('Verification (re-fetched after the run):');
+  if (phases.length === 0) {
+    console.log('  Nothing was deleted, so nothing was checked.\n');
+    return;
+  }
+  for (const [name, { deleted, checked, gone, stillExists, errors }] of phases) {
+    const scope = checked < deleted ? `${checked} of ${deleted} sampled` : `${checked} checked`;
+    console.log(`  ${capitalize(name)}: ${scope}, ✓ ${gone} gone, ⚠️  ${stillExists.length} still exist, ❌ ${errors.length} could not be checked`);
+  }
+  console.log('');
+
+  const list = (heading, entries, describe) => {
+    if (entries.length === 0) {
+      return;
+    }
+    console.log(heading);
+    entries.slice(0, 10).forEach((entry, i) => console.log(`   ${i + 1}. ${entry.name} (${entry.id}) - ${describe(entry)}`));
+    if (entries.length > 10) {
+      console.log(`   ... and ${entries.length - 10} more${runOptions.reportPath ? ` (all listed in ${runOptions.reportPath})` : ' (use --report to record all of them)'}`);
+    }
+    console.log('');
+  };
+  for (const [name, { stillExists, errors }] of phases) {
+    list(`Deleted ${name} that still exist:`, stillExists, entry => (entry.reappeared ? `reappeared (updated ${entry.updatedAt})` : 'never deleted'));
+    list(`Deleted ${name} that could not be checked:`, errors, entry => `${entry.status ?? 'error'}: ${entry.error}`);
+  }
+  if (phases.some(([, phase]) => phase.stillExists.some(entry => entry.reappeared))) {
+    console.log('   Reappeared entities were updated after their deletion started, e.g. re-provisioned by directory sync.\n');
+  }
+}
+
+/**
+ * Open the checkpoint journal for this run (appends to it when resuming)
+ */
+function openJournal() {
+  if (runOptions.dryRun) {
+    return null;
+  }
+
+  if (runOptions.resumeState) {
+    return new RunJournal(runOptions.journalPath);
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filePath = runOptions.journalPath || path.join(JOURNAL_DIR, `run-${timestamp}.jsonl`);
+  const journal = RunJournal.create(filePath, {
+    profile: runOptions.profile?.name,
+    simulate: runOptions.simulation?.fixture.path,
+    filter: {
+      expression: runOptions.filterExpression,
+      idsFile: runOptions.retry ? undefined : runOptions.ids?.path,
+      retry: runOptions.retry
+        ? { report: runOptions.retry.report, permanentStatuses: runOptions.retry.permanentStatuses }
+        : undefined,
+      cascadeMembers: runOptions.cascadeMembers,
+      orphans: runOptions.orphans,
+      dependents: runOptions.dependents.length > 0 ? runOptions.dependents : undefined,
+      timeZone: runOptions.timeZone,
+      deleteUsers: runOptions.deleteUsers
+    }
+  });
+  console.log(`📓 Writing checkpoint journal to ${filePath}\n`);
+  return journal;
+}
+
+/**
+ * Report matching entities that were skipped because they are protected
+ */
+function printProtectedSkipped(entityType, skipped) {
+  const count = skipped.protected[entityType].length;
+  if (count > 0) {
+    console.log(`🛡️  Skipped ${count} protected ${entityType}(s) that matched the filter\n`);
+  }
+}
+
+/**
+ * API key of the selected profile (WORKOS_API_KEY without one); exits if unset
+ */
+function requireApiKey() {
+  const apiKey = process.env[runOptions.apiKeyEnv];
+  if (!apiKey) {
+    console.error(`❌ Error: ${runOptions.apiKeyEnv} environment variable is not set${runOptions.profile ? ` (API key for profile ${runOptions.profile.name})` : ''}.`);
+    console.error(`   Please set it with: export ${runOptions.apiKeyEnv}="your-api-key"\n`);
+    process.exit(1);
+  }
+  return apiKey;
+}
+
+/**
+ * WorkOS client for the run: the fake backend under --simulate, the real API otherwise
+ */
+function createClient(apiKey) {
+  const { simulation } = runOptions;
+  return simulation ? createFakeWorkOS(simulation.fixture, simulation.faults) : new WorkOS(apiKey);
+}
+
+/**
+ * Listing cache of the API key's environment, with its age in the banner.
+ * Null with --no-cache and --simulate (the fake tenant starts over from
+ * its fixture every run).
+ */
+function openListingCache(apiKey) {
+  if (!runOptions.cache || runOptions.simulation) {
+    return null;
+  }
+
+  const filePath = getListingCachePath(LISTING_CACHE_DIR, apiKey);
+  let cache;
+  try {
+    cache = loadListingCache(filePath);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}\n`);
+    process.exit(1);
+  }
+  if (runOptions.cache.refresh) {
+    cache.invalidate();
+    console.log(`🗃️  Listing cache: ${filePath} (--refresh: listing everything again)\n`);
+    return cache;
+  }
+
+  const entityTypes = runOptions.orphans ? ['user'] : (runOptions.deleteUsers ? ['organization', 'user'] : ['organization']);
+  const ages = entityTypes.map(entityType => {
+    const refreshedAt = cache.refreshedAt(entityType);
+    return refreshedAt === null
+      ? `${getPhaseName(entityType)} not cached yet`
+      : `${cache.count(entityType)} ${getPhaseName(entityType)} from ${formatAge(Date.now() - refreshedAt)} ago`;
   });
+  console.log(`🗃️  Listing cache: ${filePath} (${ages.join(', ')})`);
+  const uncached = uncachedFilterFields(runOptions.filter);
+  if (uncached.length > 0) {
+    console.log(`    Listing in full: the filter reads ${uncached.join(', ')} (only id, created and age are matched against the cache)`);
+  }
+  console.log('');
+  return cache;
+}
+
+/**
+ * Save the listing cache after a run or inspection; a failure only warns
+ */
+function saveListingCache(cache) {
+  try {
+    cache?.save();
+  } catch (error) {
+    console.error(`⚠️  Could not save the listing cache ${cache.filePath}: ${error.message}\n`);
+  }
+}
+
+/**
+ * Age such as 45s, 12m, 5h or 3d
+ */
+function formatAge(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.floor(seconds / 60)}m`;
+  }
+  return seconds < 48 * 3600 ? `${Math.floor(seconds / 3600)}h` : `${Math.floor(seconds / 86400)}d`;
+}
+
+/**
+ * Name the selected profile (and the simulation fixture) in the banner
+ */
+function printProfile() {
+  if (runOptions.profile) {
+    console.log(`Profile: ${runOptions.profile.name} (API key from ${runOptions.apiKeyEnv})`);
+  }
+  if (runOptions.simulation) {
+    const { fixture, faults } = runOptions.simulation;
+    const described = Object.entries({ ...fixture.faults, ...faults })
+      .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('-') : value}`).join(', ');
+    console.log(`Mode: SIMULATION against ${fixture.path} (no network calls)${described ? ` - faults: ${described}` : ''}`);
+  }
+}
+
+/**
+ * Fake backend statistics and what is left of the fixture
+ */
+function printSimulationStats(workos) {
+  if (!runOptions.simulation) {
+    return;
+  }
+  const { calls, rateLimited, serverErrors, created, updated, deleted, reappeared } = workos.stats;
+  const state = workos.state();
+  console.log('🧪 Simulation:');
+  console.log(`   API calls: ${calls} (${rateLimited} answered with 429, ${serverErrors} with 5xx)`);
+  console.log(`   Created: ${created}, updated: ${updated}, deleted: ${deleted}${reappeared > 0 ? ` (${reappeared} reappeared)` : ''}`);
+  const pendingInvitations = state.invitations.filter(invitation => invitation.state === 'pending').length;
+  console.log(`   Fixture now holds ${state.organizations.length} organizations, ${state.users.length} users, ${state.organizationMemberships.length} memberships,`);
+  console.log(`   ${state.connections.length} connections, ${state.directories.length} directories, ${pendingInvitations} pending invitations (${runOptions.simulation.fixture.path} is unchanged)\n`);
+}
+
+/**
+ * Recreate organizations from a snapshot and print the old → new ID mapping
+ */
+async function restoreOrganizations() {
+  console.log('\n═══════════════════════════════════════════════════════════');
+  console.log('            WorkOS Organization Restore                    ');
+  console.log('═══════════════════════════════════════════════════════════\n');
+  console.log(`Snapshot: ${runOptions.snapshotPath}`);
+  printProfile();
+  if (runOptions.dryRun) {
+    console.log('Mode: DRY RUN (no organizations will be created)');
+  }
+  console.log('');
+
+  const apiKey = runOptions.simulation ? null : requireApiKey();
+
+  let organizations;
+  try {
+    organizations = readSnapshot(runOptions.snapshotPath, 'organization');
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}\n`);
+    process.exit(1);
+  }
+
+  const skippedUsers = readSnapshot(runOptions.snapshotPath, 'user').length;
+  console.log(`✓ Found ${organizations.length} organization(s) in snapshot`);
+  if (skippedUsers > 0) {
+    console.log(`   ⚠️  ${skippedUsers} user(s) in snapshot are not restored (organizations only)`);
+  }
+  console.log('');
+
+  if (organizations.length === 0) {
+    process.exit(0);
+  }
+
+  if (runOptions.dryRun) {
+    console.log('🔍 DRY RUN: Would create:');
+    organizations.forEach((org, i) => {
+      const domains = (org.domains || []).map(domain => domain.domain).join(', ');
+      console.log(`   ${i + 1}. ${org.name} (was ${org.id})${domains ? ` [${domains}]` : ''}`);
+    });
+    console.log('');
+    process.exit(0);
+  }
+
+  const workos = createClient(apiKey);
+  const rateLimiter = new TokenBucketRateLimiter(runOptions.limits.organizations.requestsPerMinute / 60);
+  const mapping = [];
+  const failed = [];
+  const progress = new ProgressTracker(organizations.length, 'organization', { verb: 'Restoring', noun: 'restores' });
+
+  // Sequential: organization endpoints allow only ~0.8 req/s anyway
+  for (const org of organizations) {
+    try {
+      const created = await executeWithRateLimit(() =>
+        workos.organizations.createOrganization(
+          toCreateOrganizationOptions(org),
+          // Idempotency key makes re-running the same restore safe
+          { idempotencyKey: `restore-${org.id}` }
+        ),
+        rateLimiter
+      );
+      mapping.push({ oldId: org.id, newId: created.id, name: org.name });
+      progress.update(true);
+    } catch (error) {
+      failed.push({ id: org.id, name: org.name, error: error.message });
+      progress.update(false);
+      if (runOptions.debug) {
+        console.log(`\n   ❌ Failed to restore ${org.name}: ${error.message}`);
+      }
+    }
+  }
+
+  console.log('Organization ID mapping (old → new):');
+  for (const entry of mapping) {
+    console.log(`   ${entry.oldId} → ${entry.newId}  ${entry.name}`);
+  }
+  console.log('');
+
+  const mappingPath = runOptions.snapshotPath.replace(/\.jsonl$/, '') + '.restore-map.json';
+  fs.writeFileSync(mappingPath, JSON.stringify({ restoredAt: new Date().toISOString(), mapping, failed }, null, 2) + '\n');
+  console.log(`💾 Mapping written to ${mappingPath}\n`);
+  printSimulationStats(workos);
+
+  if (failed.length > 0) {
+    console.log('Failed organization restores:');
+    failed.forEach((org, i) => {
+      console.log(`   ${i + 1}. ${org.name} (${org.id})`);
+      console.log(`      Error: ${org.error}`);
+    });
+    console.log('');
+  }
+
+  process.exit(failed.length > 0 ? 1 : 0);
+}
+
+/**
+ * Create synthetic organizations, users and memberships and write a manifest
+ * of their IDs that --ids-file accepts
+ */
+async function seedTenant() {
+  const { seed } = runOptions;
+
+  console.log('\n═══════════════════════════════════════════════════════════');
+  console.log('            WorkOS Seed                                    ');
+  console.log('═══════════════════════════════════════════════════════════\n');
+  console.log(`Target: Create ${seed.organizations} organization(s) and ${seed.users} user(s)`);
+  printProfile();
+
+  const apiKey = runOptions.simulation ? null : requireApiKey();
+  const workos = createClient(apiKey);
+  let seeder;
+  try {
+    seeder = createSeeder({
+      workos,
+      ...seed,
+      limits: runOptions.limits
+    });
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}\n`);
+    process.exit(1);
+  }
+
+  const plan = seeder.plan();
+  console.log(`Seed run: ${seeder.runId} (metadata: ${Object.entries(seeder.metadata).map(([key, value]) => `${key}=${value}`).join(', ')})`);
+  if (seed.users > 0) {
+    console.log(`Emails: ${plan.users[0].email}${plan.users.length > 1 ? ` ... ${plan.users[plan.users.length - 1].email}` : ''}`);
+  }
+  console.log(`Memberships: ${plan.memberships} (${seed.membershipsPerUser} per user)`);
+  if (runOptions.dryRun) {
+    console.log('Mode: DRY RUN (nothing will be created)');
+  }
+  console.log('');
 
-  console.log(`✓ Found ${filtered.length} ${entityType}(s) to delete\n`);
+  if (apiKey?.startsWith('sk_live_')) {
+    console.log(`🚨 WARNING: ${runOptions.apiKeyEnv} is a LIVE key (sk_live_...) - seeding a PRODUCTION environment.\n`);
+  }
 
-  if (filtered.length > 0 && (dateFilter.debug || filtered.length <= 20)) {
-    console.log(`${entityType}s to be deleted:`);
-    const displayCount = Math.min(filtered.length, 20);
-    for (let i = 0; i < displayCount; i++) {
-      const entity = filtered[i];
-      const name = entityType === 'organization'
-        ? (entity.name || 'Unnamed')
-        : (entity.firstName && entity.lastName ? `${entity.firstName} ${entity.lastName}` : entity.email || 'Unnamed');
-      console.log(`   ${i + 1}. ${name} (ID: ${entity.id})`);
+  if (runOptions.dryRun) {
+    console.log('🔍 DRY RUN: Would create:');
+    plan.organizations.slice(0, 5).forEach(org => console.log(`   organization ${org.name}`));
+    if (plan.organizations.length > 5) {
+      console.log(`   ... and ${plan.organizations.length - 5} more organizations`);
     }
-    if (filtered.length > 20) {
-      console.log(`   ... and ${filtered.length - 20} more`);
+    plan.users.slice(0, 5).forEach(user => console.log(`   user ${user.email}`));
+    if (plan.users.length > 5) {
+      console.log(`   ... and ${plan.users.length - 5} more users`);
     }
     console.log('');
+    process.exit(0);
   }
 
-  return filtered;
-}
-
-/**
- * Progress tracker for concurrent operations with visual progress bar
- */
-class ProgressTracker {
-  constructor(total, entityType) {
-    this.total = total;
-    this.entityType = entityType;
-    this.completed = 0;
-    this.successful = 0;
-    this.failed = 0;
-    this.startTime = Date.now();
-
-    // Create progress bar with custom format
-    this.progressBar = new cliProgress.SingleBar({
-      format: `   Deleting ${entityType}s |{bar}| {percentage}% | {value}/{total} | ✓ {successful} ❌ {failed} | {speed} | ETA: {eta_formatted}`,
-      barCompleteChar: '\u2588',
-      barIncompleteChar: '\u2591',
-      hideCursor: true,
-      clearOnComplete: false,
-      stopOnComplete: true
-    }, cliProgress.Presets.shades_classic);
+  // Keep the manifest current after every phase so a failed run can still be cleaned up
+  const manifestPath = runOptions.manifestPath || newManifestPath(MANIFEST_DIR);
+  const saveManifest = () => writeSeedManifest(manifestPath, seeder.manifest());
 
-    // Start the progress bar
-    this.progressBar.start(total, 0, {
-      successful: 0,
-      failed: 0,
-      speed: '0/s'
-    });
-  }
+  let progress = null;
+  seeder.on('phase-start', ({ entityType, total }) => {
+    progress = total > 0 ? new ProgressTracker(total, entityType, { verb: 'Creating', noun: 'creations' }) : null;
+  });
+  seeder.on('created', () => progress.update(true));
+  seeder.on('failed', ({ entityType, item, error }) => {
+    progress.update(false);
+    if (runOptions.debug) {
+      console.log(`\n   ❌ Failed to create ${entityType} ${item.name || item.email || item.userId}: ${error.message}`);
+    }
+  });
+  seeder.on('retry', ({ kind, attempt, maxAttempts, delayMs, error }) => {
+    if (runOptions.debug) {
+      const reason = kind === 'rate-limit' ? 'Rate limit hit' : `Transient error (${error.message})`;
+      console.log(`   ⏳ ${reason}. Backing off for ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt}/${maxAttempts})...`);
+    }
+  });
+  seeder.on('phase-complete', saveManifest);
 
-  update(success) {
-    this.completed++;
-    if (success) {
-      this.successful++;
-    } else {
-      this.failed++;
+  let results;
+  try {
+    results = await seeder.run();
+  } catch (error) {
+    if (progress && !progress.finished) {
+      progress.stop();
     }
+    console.error('\n❌ Seeding failed with error:', error.message);
+    saveManifest();
+    console.error(`   Created IDs so far are in ${manifestPath}\n`);
+    process.exit(1);
+  }
 
-    // Calculate speed
-    const elapsed = (Date.now() - this.startTime) / 1000;
-    const rate = this.completed / elapsed;
-    const speedDisplay = rate >= 1 ? `${rate.toFixed(1)}/s` : `${(rate * 60).toFixed(1)}/min`;
+  console.log(`💾 Manifest written to ${manifestPath}`);
+  console.log(`   Delete everything it lists with: node delete-orgs.js --ids-file ${manifestPath}\n`);
 
-    // Update the progress bar
-    this.progressBar.update(this.completed, {
-      successful: this.successful,
-      failed: this.failed,
-      speed: speedDisplay
+  let totalFailed = 0;
+  for (const [phase, phaseResults] of Object.entries(results)) {
+    console.log(`${phase[0].toUpperCase()}${phase.slice(1)}: ✓ ${phaseResults.successful.length} created, ❌ ${phaseResults.failed.length} failed`);
+    totalFailed += phaseResults.failed.length;
+  }
+  console.log('');
+  printSimulationStats(workos);
+
+  const failures = seeder.manifest().failed;
+  if (failures.length > 0) {
+    console.log('Failed creations:');
+    failures.slice(0, 10).forEach((failure, i) => {
+      console.log(`   ${i + 1}. ${failure.phase}: ${failure.name || failure.email || `${failure.userId} → ${failure.organizationId}`}`);
+      console.log(`      Error: ${failure.error}`);
     });
-
-    // Handle completion
-    if (this.completed === this.total) {
-      this.progressBar.stop();
-      const totalTime = elapsed.toFixed(1);
-      const avgRate = (this.total / elapsed).toFixed(1);
-      console.log(`\n✓ Completed ${this.total} ${this.entityType} deletions in ${totalTime}s (avg: ${avgRate}/s)\n`);
+    if (failures.length > 10) {
+      console.log(`   ... and ${failures.length - 10} more (all listed in ${manifestPath})`);
     }
+    console.log('');
   }
+
+  process.exit(totalFailed > 0 ? 1 : 0);
 }
 
 /**
- * Delete multiple entities concurrently with controlled concurrency
+ * "~1h 5m", "~3m 20s", "~45s"
  */
-async function deleteEntitiesConcurrently(entities, deleteFunction, entityType, rateLimiter, requestsPerSecond, concurrencyLimit) {
-  if (entities.length === 0) {
-    console.log(`✓ No ${entityType}s to delete.\n`);
-    return { successful: [], failed: [] };
-  }
-
-  if (dateFilter.dryRun) {
-    console.log(`🔍 DRY RUN: Would delete ${entities.length} ${entityType}(s)\n`);
-    return {
-      successful: entities.map(e => ({
-        id: e.id,
-        name: entityType === 'organization' ? (e.name || 'Unnamed') : (e.email || 'Unnamed'),
-        createdAt: e.createdAt
-      })),
-      failed: []
-    };
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) {
+    return `~${hours}h ${minutes}m`;
   }
+  return minutes > 0 ? `~${minutes}m ${seconds % 60}s` : `~${seconds}s`;
+}
 
-  const estimatedTime = Math.ceil(entities.length / requestsPerSecond);
-  console.log(`🗑️  Deleting ${entities.length} ${entityType}(s)...`);
-  console.log(`   Concurrency: ${concurrencyLimit} parallel operations`);
-  console.log(`   Rate limit: ${requestsPerSecond.toFixed(2)} req/s`);
-  console.log(`   Estimated time: ~${estimatedTime}s\n`);
-
-  const results = {
-    successful: [],
-    failed: []
-  };
-
-  const progress = new ProgressTracker(entities.length, entityType);
+/**
+ * Print the inspection of one entity type: histogram, top domains and
+ * name prefixes, and the estimated deletion time
+ */
+function printInspection(entityType, summary, limits) {
+  const phaseName = getPhaseName(entityType);
+  const { total, groupBy, buckets, oldest, newest, domains, prefixes } = summary;
 
-  // Process deletions with controlled concurrency
-  const processingQueue = [];
+  console.log(`${capitalize(phaseName)}: ${total} matching${total > 0 ? ` (created ${oldest.slice(0, 10)} to ${newest.slice(0, 10)})` : ''}\n`);
+  if (total === 0) {
+    return;
+  }
 
-  for (const entity of entities) {
-    // Wait if we've hit the concurrency limit
-    if (processingQueue.length >= concurrencyLimit) {
-      await Promise.race(processingQueue);
-    }
+  // Terminal histogram, oldest first
+  console.log(`   Created per ${groupBy === 'week' ? 'week (starting Monday)' : groupBy} (${runOptions.timeZone}):`);
+  const max = Math.max(...buckets.map(bucket => bucket.count));
+  const countWidth = String(max).length;
+  for (const { key, count } of buckets) {
+    const bar = '█'.repeat(Math.max(1, Math.round((count / max) * 40)));
+    console.log(`   ${key}  ${String(count).padStart(countWidth)}  ${bar}`);
+  }
+  const busiest = buckets.reduce((best, bucket) => (bucket.count > best.count ? bucket : best));
+  console.log(`   Busiest ${groupBy}: ${busiest.key} with ${busiest.count} (${Math.round((busiest.count / total) * 100)}%)`);
+  if (groupBy !== 'month' && buckets.length > 60) {
+    console.log(`   (${buckets.length} ${groupBy}s - try --group-by ${groupBy === 'day' ? 'week' : 'month'} for a shorter view)`);
+  }
+  console.log('');
 
-    // Start deletion
-    const deletionPromise = (async () => {
-      const name = entityType === 'organization'
-        ? (entity.name || 'Unnamed')
-        : (entity.firstName && entity.lastName ? `${entity.firstName} ${entity.lastName}` : entity.email || 'Unnamed');
+  const formatTop = (entries) => entries.map(({ value, count }) => `${value} (${count})`).join(', ');
+  console.log(`   Top ${entityType === 'organization' ? 'domains' : 'email domains'}: ${domains.length > 0 ? formatTop(domains) : '(none)'}`);
+  console.log(`   Top name prefixes: ${formatTop(prefixes)}\n`);
+
+  const requestsPerSecond = entityType === 'organization'
+    ? limits.organizations.requestsPerMinute / 60
+    : limits.users.requestsPerSecond;
+  const rate = entityType === 'organization'
+    ? `${limits.organizations.requestsPerMinute} requests/min`
+    : `${limits.users.requestsPerSecond} requests/s`;
+  console.log(`   Estimated deletion time: ${formatDuration(estimateDeletionSeconds(total, requestsPerSecond))} at ${rate} (without retries)\n`);
+}
 
-      try {
-        await executeWithRateLimit(() => deleteFunction(entity.id), rateLimiter);
-
-        results.successful.push({
-          id: entity.id,
-          name: name,
-          createdAt: entity.createdAt
-        });
-        progress.update(true);
-      } catch (error) {
-        results.failed.push({
-          id: entity.id,
-          name: name,
-          createdAt: entity.createdAt,
-          error: error.message
-        });
-        progress.update(false);
-
-        if (dateFilter.debug) {
-          console.log(`\n   ❌ Failed to delete ${name}: ${error.message}`);
-        }
-      }
-    })();
+/**
+ * Summarize the entities the filters select without deleting anything:
+ * counts per creation day, week or month, top domains and name prefixes,
+ * and how long deleting them would take
+ */
+async function inspectTenant() {
+  const { groupBy, top } = runOptions.inspect;
+  const entityTypes = [];
+  if (!runOptions.orphans) {
+    entityTypes.push('organization');
+  }
+  if (runOptions.deleteUsers) {
+    entityTypes.push('user');
+  }
 
-    processingQueue.push(deletionPromise);
+  console.log('\n═══════════════════════════════════════════════════════════');
+  console.log('            WorkOS Inspect                                 ');
+  console.log('═══════════════════════════════════════════════════════════\n');
+  const targetTypes = runOptions.orphans ? 'users without organization memberships' : entityTypes.map(getPhaseName).join(' and ');
+  if (runOptions.ids) {
+    console.log(`Target: ${targetTypes} listed in ${runOptions.ids.path}${runOptions.filterExpression ? ` that match: ${runOptions.filterExpression}` : ''}`);
+  } else {
+    console.log(`Target: ${runOptions.filterExpression ? `${targetTypes} matching: ${runOptions.filterExpression}` : `all ${targetTypes}`}`);
+  }
+  printProfile();
+  console.log(`Grouping: per ${groupBy} (${runOptions.timeZone})`);
+  console.log('');
 
-    // Remove completed promises from the queue
-    deletionPromise.finally(() => {
-      const index = processingQueue.indexOf(deletionPromise);
-      if (index > -1) {
-        processingQueue.splice(index, 1);
-      }
+  const apiKey = runOptions.simulation ? null : requireApiKey();
+  const workos = createClient(apiKey);
+  const listingCache = openListingCache(apiKey);
+  let deleter;
+  try {
+    deleter = createBulkDeleter({
+      workos,
+      filters: {
+        expression: runOptions.filter,
+        timeZone: runOptions.timeZone,
+        ids: runOptions.ids,
+        users: runOptions.deleteUsers,
+        orphans: runOptions.orphans,
+        protected: runOptions.protectedList
+      },
+      limits: runOptions.limits,
+      dryRun: true,
+      listingCache
     });
-  }
+    attachConsoleOutput(deleter);
 
-  // Wait for all remaining deletions to complete
-  await Promise.all(processingQueue);
+    for (const entityType of entityTypes) {
+      const entities = await deleter.listTargets(entityType);
+      printInspection(entityType, summarizeEntities(entities, entityType, { groupBy, timeZone: runOptions.timeZone, top }), deleter.limits);
+    }
+    saveListingCache(listingCache);
+  } catch (error) {
+    console.error('\n❌ Inspect failed with error:', error.message);
+    if (runOptions.debug && error.stack) {
+      console.error('\nStack trace:', error.stack);
+    }
+    console.error('');
+    process.exit(1);
+  }
 
-  return results;
+  printSimulationStats(workos);
+  process.exit(0);
 }
 
 /**
- * Print final summary
+ * Set (mark) or remove (unmark) the quarantine mark on what the filters
+ * select. Nothing is deleted: a later sweep deletes what has been marked for
+ * longer than its grace period.
  */
-function printSummary(orgResults, userResults = null) {
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log('                    DELETION SUMMARY                        ');
+async function markTenant() {
+  const { action } = runOptions.quarantine;
+  const marking = action === 'mark';
+  const past = marking ? 'marked' : 'unmarked';
+  const entityTypes = [];
+  if (!runOptions.orphans) {
+    entityTypes.push('organization');
+  }
+  if (runOptions.deleteUsers) {
+    entityTypes.push('user');
+  }
+
+  console.log('\n═══════════════════════════════════════════════════════════');
+  console.log(`            WorkOS Quarantine ${capitalize(action)}                       `);
   console.log('═══════════════════════════════════════════════════════════\n');
+  const targetTypes = runOptions.orphans ? 'users without organization memberships' : entityTypes.map(getPhaseName).join(' and ');
+  if (runOptions.ids) {
+    console.log(`Target: ${capitalize(action)} ${targetTypes} listed in ${runOptions.ids.path}${runOptions.filterExpression ? ` that match: ${runOptions.filterExpression}` : ''}`);
+  } else {
+    console.log(`Target: ${capitalize(action)} ${runOptions.filterExpression ? `${targetTypes} matching: ${runOptions.filterExpression}` : `all marked ${targetTypes}`}`);
+  }
+  console.log(`Mark: metadata.${MARK_METADATA_KEY}${marking ? ' (entities that already have it keep their original mark)' : ''}`);
+  printProfile();
+  if (runOptions.dryRun) {
+    console.log(`Mode: DRY RUN (nothing will be ${past})`);
+  }
+  console.log('');
 
-  if (dateFilter.dryRun) {
-    console.log('🔍 DRY RUN MODE - No actual deletions were performed\n');
+  const apiKey = runOptions.simulation ? null : requireApiKey();
+  if (apiKey?.startsWith('sk_live_')) {
+    console.log(`🚨 WARNING: ${runOptions.apiKeyEnv} is a LIVE key (sk_live_...) - this run targets a PRODUCTION environment.\n`);
+  }
+  // Releasing an entity is always safe, so unmark ignores the protected list
+  if (marking && runOptions.protectedList.path) {
+    const { organizationIds, domains, emails } = runOptions.protectedList;
+    console.log(`🛡️  Protected list: ${runOptions.protectedList.path} (${organizationIds.size} org IDs, ${domains.size} domains, ${emails.size} emails)\n`);
   }
 
-  // Organizations summary
-  console.log('Organizations:');
-  console.log(`  ✓ Successfully deleted: ${orgResults.successful.length}`);
-  console.log(`  ❌ Failed to delete:    ${orgResults.failed.length}`);
-  console.log(`  📊 Total processed:     ${orgResults.successful.length + orgResults.failed.length}\n`);
+  const workos = createClient(apiKey);
+  let progress = null;
 
-  // Users summary (if applicable)
-  if (userResults) {
-    console.log('Users:');
-    console.log(`  ✓ Successfully deleted: ${userResults.successful.length}`);
-    console.log(`  ❌ Failed to delete:    ${userResults.failed.length}`);
-    console.log(`  📊 Total processed:     ${userResults.successful.length + userResults.failed.length}\n`);
-  }
+  // Marking starts the countdown to deletion, so it gets the same guards
+  const beforeUpdate = async (targets, entityType) => {
+    if (marking && runOptions.maxDelete !== null && targets.length > runOptions.maxDelete) {
+      console.error(`❌ Aborting: ${targets.length} ${entityType}(s) match, which exceeds --max-delete ${runOptions.maxDelete}.`);
+      console.error('   Nothing was marked in this phase. Narrow the filter or raise the cap.\n');
+      process.exit(1);
+    }
+    if (marking && !runOptions.yes) {
+      if (targets.length <= 20) {
+        printTargetList(targets, entityType, 'to be marked');
+      }
+      const confirmed = await confirmCount(targets.length, entityType, 'mark for deletion');
+      if (!confirmed) {
+        console.error('❌ Aborted: confirmation did not match. Nothing was marked in this phase.\n');
+        process.exit(1);
+      }
+      console.log('');
+    }
+    progress = new ProgressTracker(targets.length, entityType, marking ? { verb: 'Marking', noun: 'marks' } : { verb: 'Unmarking', noun: 'unmarks' });
+    return targets;
+  };
 
-  // Show failures if any (up to 10)
-  if (orgResults.failed.length > 0) {
-    console.log('Failed organization deletions:');
-    const displayCount = Math.min(orgResults.failed.length, 10);
-    for (let i = 0; i < displayCount; i++) {
-      const org = orgResults.failed[i];
-      console.log(`   ${i + 1}. ${org.name} (${org.id})`);
-      console.log(`      Error: ${org.error}`);
+  let marker;
+  let results;
+  try {
+    marker = createMarker({
+      workos,
+      action,
+      filters: {
+        expression: runOptions.filter,
+        timeZone: runOptions.timeZone,
+        ids: runOptions.ids,
+        users: runOptions.deleteUsers,
+        orphans: runOptions.orphans,
+        protected: marking ? runOptions.protectedList : undefined
+      },
+      limits: runOptions.limits,
+      dryRun: runOptions.dryRun,
+      beforeUpdate
+    });
+    attachConsoleOutput(marker.deleter);
+
+    marker.on('phase-start', ({ entityType, total, unchanged }) => {
+      progress = null;
+      if (unchanged > 0) {
+        console.log(`↷  ${unchanged} matching ${entityType}(s) ${marking ? 'are already marked and keep their mark' : 'are not marked'}\n`);
+      }
+      if (total === 0) {
+        console.log(`✓ No ${getPhaseName(entityType)} to ${action}.\n`);
+      }
+    });
+    marker.on('dry-run', ({ entityType, targets }) => {
+      printTargetList(targets, entityType, `to be ${past}`);
+      console.log(`🔍 DRY RUN: Would ${action} ${targets.length} ${entityType}(s)\n`);
+    });
+    marker.on('updated', () => progress.update(true));
+    marker.on('failed', ({ entityType, entity, error }) => {
+      progress.update(false);
+      if (runOptions.debug) {
+        console.log(`\n   ❌ Failed to ${action} ${getEntityName(entity, entityType)}: ${error.message}`);
+      }
+    });
+    marker.on('retry', ({ kind, attempt, maxAttempts, delayMs, error }) => {
+      if (runOptions.debug) {
+        const reason = kind === 'rate-limit' ? 'Rate limit hit' : `Transient error (${error.message})`;
+        console.log(`   ⏳ ${reason}. Backing off for ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt}/${maxAttempts})...`);
+      }
+    });
+
+    results = await marker.run();
+  } catch (error) {
+    if (progress && !progress.finished) {
+      progress.stop();
     }
-    if (orgResults.failed.length > 10) {
-      console.log(`   ... and ${orgResults.failed.length - 10} more failures`);
+    console.error(`\n❌ ${capitalize(action)} failed with error:`, error.message);
+    if (runOptions.debug && error.stack) {
+      console.error('\nStack trace:', error.stack);
     }
-    console.log('');
+    console.error('');
+    process.exit(1);
   }
 
-  if (userResults && userResults.failed.length > 0) {
-    console.log('Failed user deletions:');
-    const displayCount = Math.min(userResults.failed.length, 10);
-    for (let i = 0; i < displayCount; i++) {
-      const user = userResults.failed[i];
-      console.log(`   ${i + 1}. ${user.name} (${user.id})`);
-      console.log(`      Error: ${user.error}`);
+  let totalFailed = 0;
+  for (const [phaseName, phase] of Object.entries(results)) {
+    if (!phase) {
+      continue;
     }
-    if (userResults.failed.length > 10) {
-      console.log(`   ... and ${userResults.failed.length - 10} more failures`);
+    const done = runOptions.dryRun ? `would be ${past}` : past;
+    console.log(`${capitalize(phaseName)}: ✓ ${phase.successful.length} ${done}, ↷ ${phase.unchanged.length} ${marking ? 'already marked' : 'not marked'}, ❌ ${phase.failed.length} failed`);
+    totalFailed += phase.failed.length;
+  }
+  console.log('');
+
+  const failures = Object.entries(results).flatMap(([phaseName, phase]) => (phase?.failed || []).map(entity => ({ phaseName, ...entity })));
+  if (failures.length > 0) {
+    console.log(`Failed ${action}s:`);
+    failures.slice(0, 10).forEach((failure, i) => {
+      console.log(`   ${i + 1}. ${failure.phaseName}: ${failure.name} (${failure.id})`);
+      console.log(`      Error: ${failure.error}`);
+    });
+    if (failures.length > 10) {
+      console.log(`   ... and ${failures.length - 10} more`);
     }
     console.log('');
   }
 
-  console.log('═══════════════════════════════════════════════════════════\n');
+  if (marking && !runOptions.dryRun) {
+    console.log(`🕒 Marked at ${marker.markedAt}. After the grace period, delete what is still marked with the same filters:`);
+    console.log('   node delete-orgs.js sweep --grace <duration> [filters]');
+    console.log('   Release entities before then with: node delete-orgs.js unmark [filters | --ids-file <path>]\n');
+  }
+  printSimulationStats(workos);
+  process.exit(totalFailed > 0 ? 1 : 0);
 }
 
 /**
- * Main execution
+ * Build the audit report for a run
  */
-async function main() {
-  const targetDescription = dateFilter.mode === 'single'
-    ? `on ${dateFilter.date}`
-    : `between ${dateFilter.startDate} and ${dateFilter.endDate} (inclusive)`;
+function buildReport(run, results, skipped) {
+  const phase = (results, timing) => {
+    if (!results) {
+      return null;
+    }
+
+    const durationMs = timing ? timing.finishedAt - timing.startedAt : null;
+    const processed = results.successful.length + results.failed.length;
+    return {
+      startedAt: timing ? new Date(timing.startedAt).toISOString() : null,
+      finishedAt: timing ? new Date(timing.finishedAt).toISOString() : null,
+      durationSeconds: durationMs === null ? null : durationMs / 1000,
+      throughputPerSecond: durationMs ? Number((processed / (durationMs / 1000)).toFixed(3)) : null,
+      processed,
+      deleted: results.successful.length,
+      alreadyDeleted: results.successful.filter(entity => entity.alreadyDeleted).length,
+      failed: results.failed.length,
+      successful: results.successful,
+      failures: results.failed
+    };
+  };
 
-  const deleteUsersFlag = dateFilter.deleteUsers;
-  const targetTypes = deleteUsersFlag ? 'organizations and users' : 'organizations';
+  return {
+    dryRun: runOptions.dryRun,
+    simulatedBackend: Boolean(runOptions.simulation),
+    status: run.error ? 'error' : (run.stopped ? 'stopped' : 'completed'),
+    error: run.error || undefined,
+    stopped: run.stopped || undefined,
+    startedAt: new Date(run.startedAt).toISOString(),
+    finishedAt: new Date(run.finishedAt).toISOString(),
+    apiKey: runOptions.simulation ? null : describeApiKey(process.env[runOptions.apiKeyEnv]),
+    parameters: {
+      argv: process.argv.slice(2),
+      profile: runOptions.profile?.name || null,
+      simulate: runOptions.simulation
+        ? { fixture: runOptions.simulation.fixture.path, faults: { ...runOptions.simulation.fixture.faults, ...runOptions.simulation.faults } }
+        : null,
+      filter: runOptions.filterExpression,
+      timeZone: runOptions.timeZone,
+      deleteUsers: runOptions.deleteUsers,
+      cascadeMembers: runOptions.cascadeMembers,
+      dependents: runOptions.dependents,
+      orphans: runOptions.orphans,
+      idsFile: runOptions.retry ? null : runOptions.ids?.path || null,
+      retryOf: runOptions.retry
+        ? { report: runOptions.retry.report, permanentStatuses: runOptions.retry.permanentStatuses }
+        : null,
+      maxDelete: runOptions.maxDelete,
+      verifySampleRate: runOptions.verify?.sampleRate ?? null,
+      limit: runOptions.budget.deletions,
+      maxDurationSeconds: runOptions.budget.durationMs === null ? null : runOptions.budget.durationMs / 1000,
+      protectedList: runOptions.protectedList.path,
+      resumedFrom: runOptions.resumeState ? runOptions.journalPath : null,
+      journal: run.journal?.filePath || null,
+      snapshot: run.snapshotPath,
+      listingCache: run.listingCache,
+      limits: {
+        organizations: { concurrency: run.limits.organizations.concurrency, requestsPerMinute: run.limits.organizations.requestsPerMinute },
+        users: { concurrency: run.limits.users.concurrency, requestsPerSecond: run.limits.users.requestsPerSecond },
+        ...Object.fromEntries([...runOptions.dependents, 'reads'].map(name =>
+          [name, { concurrency: run.limits[name].concurrency, requestsPerSecond: run.limits[name].requestsPerSecond }]))
+      },
+      concurrentPhases: run.concurrentPhases
+    },
+    phases: {
+      organizations: phase(results.organizations, run.timings.organizations),
+      users: phase(results.users, run.timings.users),
+      ...Object.fromEntries(runOptions.dependents.map(name => [name, phase(results[name], run.timings[name])]))
+    },
+    skipped: {
+      protected: skipped.protected,
+      excluded: runOptions.interactive ? skipped.excluded : null,
+      cascadeMembers: skipped.cascadeMembers,
+      missingIds: runOptions.ids ? skipped.missing : null,
+      permanentFailures: runOptions.retry?.permanent || null,
+      notRetryable: runOptions.retry?.notRetryable || null
+    },
+    verification: run.verification || undefined
+  };
+}
+
+/**
+ * Write the audit report if --report was given
+ */
+function saveReport(run, results, skipped) {
+  if (!runOptions.reportPath) {
+    return;
+  }
+
+  try {
+    writeReport(runOptions.reportPath, buildReport(run, results, skipped));
+    console.log(`📄 Report written to ${runOptions.reportPath}\n`);
+  } catch (error) {
+    console.error(`❌ Failed to write report to ${runOptions.reportPath}: ${error.message}\n`);
+  }
+}
+
+/**
+ * Print the run banner and validate the API key.
+ * Returns { apiKey, limits, listingCache } for runDeletion().
+ */
+function prepareRun(title) {
+  const deleteUsersFlag = runOptions.deleteUsers;
+  let targetTypes = deleteUsersFlag ? 'organizations and users' : 'organizations';
+  if (runOptions.cascadeMembers) {
+    targetTypes = 'organizations and their exclusive members';
+  } else if (runOptions.orphans) {
+    targetTypes = 'users without organization memberships';
+  }
 
   console.log('\n═══════════════════════════════════════════════════════════');
-  console.log('            WorkOS Bulk Deletion Script                   ');
+  console.log(title);
   console.log('═══════════════════════════════════════════════════════════\n');
-  console.log(`Target: Delete ${targetTypes} created ${targetDescription}`);
+  const limits = getDeletionLimits();
+
+  if (runOptions.retry) {
+    const { retry, organizations, users } = runOptions.ids;
+    console.log(`Target: Retry failed deletions from ${retry.report} (${organizations.length} org IDs, ${users.length} user IDs)`);
+    console.log(`        Skipping ${retry.permanent.length} of ${retry.failures} failure(s) with status ${retry.permanentStatuses.join('/') || '(none)'}`);
+    if (retry.notRetryable.length > 0) {
+      console.log(`        Not retryable by this command: ${retry.notRetryable.length} dependent failure(s) whose organization the report does not record`);
+    }
+    if (runOptions.filterExpression) {
+      console.log(`        ... that also match: ${runOptions.filterExpression}`);
+    }
+  } else if (runOptions.ids) {
+    console.log(`Target: Delete ${targetTypes} listed in ${runOptions.ids.path} (${runOptions.ids.organizations.length} org IDs, ${runOptions.ids.users.length} user IDs)`);
+    if (runOptions.filterExpression) {
+      console.log(`        ... that also match: ${runOptions.filterExpression}`);
+    }
+  } else if (runOptions.filterExpression) {
+    console.log(`Target: Delete ${targetTypes} matching: ${runOptions.filterExpression}`);
+  } else {
+    console.log(`Target: Delete all ${targetTypes}`);
+  }
+  if (runOptions.dependents.length > 0) {
+    console.log(`Dependents: ${runOptions.dependents.join(', ')} (deleted before their organization)`);
+  }
+  if (runOptions.command === 'sweep') {
+    const { grace } = runOptions.quarantine;
+    console.log(`Grace period: ${grace} (only entities marked before ${new Date(Date.now() - parseDuration(grace)).toISOString()})`);
+  }
+  printProfile();
+  console.log(`Timezone: ${runOptions.timeZone}`);
   console.log(`Concurrency:`);
-  console.log(`  - Organizations: ${ORG_CONCURRENCY_LIMIT} parallel operations`);
+  console.log(`  - Organizations: ${limits.organizations.concurrency} parallel operations`);
   if (deleteUsersFlag) {
-    console.log(`  - Users: ${USER_CONCURRENCY_LIMIT} parallel operations`);
+    console.log(`  - Users: ${limits.users.concurrency} parallel operations`);
   }
-  console.log(`Rate limits:`);
-  console.log(`  - Organizations: ${ORG_REQUESTS_PER_MINUTE} requests per 60 seconds (~${Math.floor(ORG_REQUESTS_PER_MINUTE)} deletions/min)`);
+  for (const name of runOptions.dependents) {
+    console.log(`  - ${capitalize(name)}: ${limits[name].concurrency} parallel operations`);
+  }
+  console.log(`  - Reads (list and get): ${limits.reads.concurrency} parallel requests`);
+  console.log(`Rate limits${runOptions.retry ? ` (retry at ${RETRY_RATE_FACTOR * 100}% of normal)` : ''}:`);
+  const orgRequestsPerMinute = limits.organizations.requestsPerMinute;
+  console.log(`  - Organizations: ${orgRequestsPerMinute} requests per 60 seconds (~${Math.floor(orgRequestsPerMinute)} deletions/min)`);
   if (deleteUsersFlag) {
-    console.log(`  - Users: ${MAX_REQUESTS_PER_SECOND} requests/second (~${Math.floor(MAX_REQUESTS_PER_SECOND * 60)} deletions/min)`);
+    console.log(`  - Users: ${limits.users.requestsPerSecond} requests/second (~${Math.floor(limits.users.requestsPerSecond * 60)} deletions/min)`);
+  }
+  for (const name of runOptions.dependents) {
+    console.log(`  - ${capitalize(name)}: ${limits[name].requestsPerSecond} requests/second`);
   }
-  if (dateFilter.dryRun) {
+  console.log(`  - Reads (list and get): ${limits.reads.requestsPerSecond} requests/second`);
+  if (runOptions.dryRun) {
     console.log('Mode: DRY RUN (no actual deletions)');
   }
+  const { deletions, durationMs } = runOptions.budget;
+  if (deletions !== null || durationMs !== null) {
+    const parts = [];
+    if (deletions !== null) {
+      parts.push(`at most ${deletions} deletion(s)`);
+    }
+    if (durationMs !== null) {
+      parts.push(`at most ${durationMs >= 60000 ? `${Number((durationMs / 60000).toFixed(1))} min` : `${durationMs / 1000}s`}`);
+    }
+    console.log(`Budget: ${parts.join(', ')}, then stop cleanly`);
+  }
+  if (runOptions.resumeState) {
+    const { run, lastPhase } = runOptions.resumeState;
+    console.log(`Resuming: run started ${run.startedAt} (last phase: ${lastPhase || 'none'})`);
+  }
   console.log('');
 
-  // Validate API key
-  if (!process.env.WORKOS_API_KEY) {
-    console.error('❌ Error: WORKOS_API_KEY environment variable is not set.');
-    console.error('   Please set it with: export WORKOS_API_KEY="your-api-key"\n');
-    process.exit(1);
+  // Validate API key (a simulation needs none)
+  const apiKey = runOptions.simulation ? null : requireApiKey();
+
+  if (apiKey?.startsWith('sk_live_')) {
+    console.log('🚨🚨🚨 ═══════════════════════════════════════════════════ 🚨🚨🚨');
+    console.log(`   WARNING: ${runOptions.apiKeyEnv} is a LIVE key (sk_live_...)`);
+    console.log('   This run targets a PRODUCTION environment.');
+    console.log('🚨🚨🚨 ═══════════════════════════════════════════════════ 🚨🚨🚨\n');
+  }
+
+  if (runOptions.protectedList.path) {
+    const { organizationIds, domains, emails } = runOptions.protectedList;
+    console.log(`🛡️  Protected list: ${runOptions.protectedList.path} (${organizationIds.size} org IDs, ${domains.size} domains, ${emails.size} emails)\n`);
   }
 
+  const listingCache = openListingCache(apiKey);
+
+  return { apiKey, limits, listingCache };
+}
+
+/**
+ * Delete what the run options select: one pass of the fetch, filter and
+ * delete pipeline with its journal, summary and report.
+ * Returns the exit code.
+ */
+async function runDeletion(workos, limits, listingCache = null) {
+  const startTime = Date.now();
+  const run = { startedAt: startTime, limits, journal: null, snapshotPath: null, timings: {}, concurrentPhases: false, listingCache: listingCache?.filePath ?? null };
+  let deleter = null;
+  let stopProgress = () => {};
+  let metricsServer = null;
+  let emitEvent = () => {};
+  let onSignal = null;
+
   try {
-    const startTime = Date.now();
-
-    // Fetch and delete organizations
-    const allOrganizations = await fetchAllOrganizations();
-    const organizationsToDelete = filterByDate(allOrganizations, 'organization');
-    const orgResults = await deleteEntitiesConcurrently(
-      organizationsToDelete,
-      (id) => workos.organizations.deleteOrganization(id),
-      'organization',
-      orgRateLimiter,
-      ORG_REQUESTS_PER_SECOND,
-      ORG_CONCURRENCY_LIMIT
-    );
+    run.journal = openJournal();
+
+    deleter = createBulkDeleter({
+      workos,
+      filters: {
+        expression: runOptions.filter,
+        timeZone: runOptions.timeZone,
+        ids: runOptions.ids,
+        users: runOptions.deleteUsers,
+        cascadeMembers: runOptions.cascadeMembers,
+        orphans: runOptions.orphans,
+        protected: runOptions.protectedList,
+        ...Object.fromEntries(runOptions.dependents.map(name => [name, true]))
+      },
+      limits,
+      dryRun: runOptions.dryRun,
+      journal: run.journal,
+      resumeState: runOptions.resumeState,
+      snapshotDir: SNAPSHOT_DIR,
+      beforeDelete: applySafetyGuards,
+      budget: runOptions.budget,
+      concurrentPhases: allowsConcurrentPhases(),
+      listingCache
+    });
+    run.timings = deleter.timings;
+    run.concurrentPhases = deleter.runsPhasesConcurrently;
+
+    // First signal: stop scheduling deletions and let in-flight ones finish; second: exit now
+    onSignal = (signal) => {
+      if (run.interruptedBy) {
+        stopProgress();
+        console.error(`\n❌ ${signal} again: exiting without waiting for in-flight deletions.\n`);
+        process.exit(INTERRUPTED_EXIT_CODES[signal]);
+      }
+      run.interruptedBy = signal;
+      deleter.stop('interrupted');
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+    stopProgress = attachConsoleOutput(deleter);
+    if (runOptions.output.mode === 'ndjson') {
+      emitEvent = attachNdjsonOutput(deleter, process.stdout);
+      emitEvent('run-start', {
+        filter: deleter.filterExpression,
+        idsFile: runOptions.ids?.path || null,
+        phases: Object.keys(deleter.results),
+        dryRun: runOptions.dryRun,
+        profile: runOptions.profile?.name || null,
+        simulate: Boolean(runOptions.simulation),
+        resumed: Boolean(runOptions.resumeState)
+      });
+    }
 
-    let userResults = null;
-
-    // If --users flag is set, also handle users
-    if (deleteUsersFlag) {
-      const allUsers = await fetchAllUsers();
-      const usersToDelete = filterByDate(allUsers, 'user');
-      userResults = await deleteEntitiesConcurrently(
-        usersToDelete,
-        (id) => workos.userManagement.deleteUser(id),
-        'user',
-        userRateLimiter,
-        MAX_REQUESTS_PER_SECOND,
-        USER_CONCURRENCY_LIMIT
-      );
+    if (runOptions.metrics) {
+      const { host, port } = runOptions.metrics;
+      try {
+        metricsServer = await startMetricsServer(createRunMetrics(deleter), { host, port });
+      } catch (error) {
+        throw new Error(`Cannot serve metrics on ${host}:${port}: ${error.message}`);
+      }
+      const address = metricsServer.address();
+      const url = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+      console.log(`📈 Metrics: ${url}/metrics (Prometheus), ${url}/status (JSON)\n`);
+    }
+
+    if (run.concurrentPhases) {
+      console.log('⚡ Deleting users alongside the organizations (separate rate limits)\n');
+    }
+
+    const { skipped, snapshotPath, timings, stopped, ...results } = await deleter.run();
+    run.snapshotPath = snapshotPath;
+    run.stopped = stopped;
+
+    // Prove the deletions stuck (not after Ctrl-C: the operator wants out)
+    if (runOptions.verify && !run.interruptedBy) {
+      run.verification = await deleter.verify(results, runOptions.verify);
+    }
+
+    if (run.journal) {
+      console.log(`📓 Journal: ${run.journal.filePath}\n`);
+    }
+    if (snapshotPath) {
+      console.log(`💾 Snapshot: ${snapshotPath}`);
+      console.log(`   Restore organizations with: node delete-orgs.js restore ${snapshotPath}\n`);
     }
 
     const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`⏱️  Total execution time: ${totalTime}s\n`);
+    // Overlapping phases: show how the wall-clock time splits
+    const phaseTimes = run.concurrentPhases
+      ? ['organizations', 'users']
+        .filter(name => timings[name]?.finishedAt)
+        .map(name => `${name} ${((timings[name].finishedAt - timings[name].startedAt) / 1000).toFixed(1)}s`)
+      : [];
+    console.log(`⏱️  Total execution time: ${totalTime}s${phaseTimes.length > 1 ? ` (${phaseTimes.join(' and ')}, run concurrently)` : ''}\n`);
+    printSimulationStats(workos);
+
+    if (stopped) {
+      console.log(`⏸️  Run stopped early (${STOP_REASONS[stopped] || stopped}); the summary covers what was done.`);
+      if (run.journal) {
+        console.log(`   Continue with: node delete-orgs.js --resume ${run.journal.filePath}, or run the same command again`);
+      }
+      console.log('');
+    }
 
     // Print summary
-    printSummary(orgResults, userResults);
+    printSummary(results, skipped, run.verification);
+
+    run.finishedAt = Date.now();
+    saveReport(run, results, skipped);
 
     // Exit with appropriate code
-    const totalFailed = orgResults.failed.length + (userResults ? userResults.failed.length : 0);
-    process.exit(totalFailed > 0 ? 1 : 0);
+    const totalFailed = Object.values(results).reduce((sum, phase) => sum + (phase ? phase.failed.length : 0), 0);
+    const totalDeleted = Object.values(results).reduce((sum, phase) => sum + (phase ? phase.successful.length : 0), 0);
+    const discrepancies = Object.values(run.verification || {}).reduce((sum, phase) => sum + phase.stillExists.length + phase.errors.length, 0);
+    // Budgets end a run normally; a signal ends it as interrupted
+    const exitCode = run.interruptedBy ? INTERRUPTED_EXIT_CODES[run.interruptedBy] : (totalFailed + discrepancies > 0 ? 1 : 0);
+    emitEvent('run-complete', {
+      durationMs: run.finishedAt - startTime,
+      stopped,
+      [runOptions.dryRun ? 'wouldDelete' : 'deleted']: totalDeleted,
+      failed: totalFailed,
+      verifyDiscrepancies: run.verification ? discrepancies : null,
+      journal: run.journal?.filePath || null,
+      snapshot: snapshotPath,
+      report: runOptions.reportPath,
+      exitCode
+    });
+    return exitCode;
 
   } catch (error) {
+    stopProgress();
     console.error('\n❌ Script failed with error:', error.message);
-    if (dateFilter.debug && error.stack) {
+    if (runOptions.debug && error.stack) {
       console.error('\nStack trace:', error.stack);
     }
     console.error('');
+
+    // Still record what was done before the failure
+    run.finishedAt = Date.now();
+    run.error = error.message;
+    if (deleter) {
+      run.snapshotPath = deleter.snapshotPath;
+      saveReport(run, deleter.results, deleter.skipped);
+    }
+    const exitCode = run.interruptedBy ? INTERRUPTED_EXIT_CODES[run.interruptedBy] : 1;
+    emitEvent('run-failed', { durationMs: run.finishedAt - startTime, error: error.message, exitCode });
+    return exitCode;
+  } finally {
+    // Also after a failure: what was listed and deleted still holds
+    saveListingCache(listingCache);
+    metricsServer?.close();
+    if (onSignal) {
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+    }
+  }
+}
+
+/**
+ * Run deletion passes on a schedule until stopped. Passes never overlap:
+ * ticks that come due while a pass is running are skipped. A lock file
+ * keeps a second watch from starting.
+ */
+async function watchTenant() {
+  const { retention, interval, cron, lockPath } = runOptions.watch;
+  let schedule;
+  try {
+    schedule = createSchedule({ interval, cron, timeZone: runOptions.timeZone });
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}\n`);
+    process.exit(1);
+  }
+
+  let lock;
+  try {
+    lock = acquireLock(lockPath);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}\n`);
     process.exit(1);
   }
+  process.on('exit', () => releaseLock(lock));
+
+  const { apiKey, limits, listingCache } = prepareRun('            WorkOS Retention Watch                         ');
+  // One client for every pass (a simulated tenant keeps its state between passes)
+  const workos = createClient(apiKey);
+  console.log(`🕒 Retention: delete what is older than ${retention}, ${schedule.description}`);
+  console.log(`🔒 Lock: ${lockPath}${lock.staleHolder ? ` (taken over from process ${lock.staleHolder.pid}, which is no longer running)` : ''}\n`);
+
+  // Each pass writes its own report next to the --report path
+  const reportPath = runOptions.reportPath;
+  let passRunning = false;
+  let shutdown = null;
+
+  // While a pass runs, runDeletion's own handler stops it gracefully
+  const onSignal = (signal) => {
+    shutdown = signal;
+    if (!passRunning) {
+      console.log(`\n👋 ${signal}: watch stopped.\n`);
+      process.exit(0);
+    }
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  let next = schedule.immediate ? Date.now() : schedule.next(Date.now());
+  for (let pass = 1; ; pass++) {
+    if (next > Date.now()) {
+      console.log(`💤 Next pass at ${new Date(next).toISOString()}\n`);
+    }
+    // Sleep in steps: long timeouts overflow, and the clock may jump
+    while (next > Date.now()) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(next - Date.now(), WATCH_SLEEP_STEP_MS)));
+    }
+
+    const passStart = Date.now();
+    console.log(`───────────── Pass ${pass} started ${new Date(passStart).toISOString()} ─────────────\n`);
+    if (reportPath) {
+      const extension = path.extname(reportPath);
+      const timestamp = new Date(passStart).toISOString().replace(/[:.]/g, '-');
+      runOptions.reportPath = `${reportPath.slice(0, reportPath.length - extension.length)}-${timestamp}${extension || '.json'}`;
+    }
+
+    passRunning = true;
+    const exitCode = await runDeletion(workos, limits, listingCache);
+    passRunning = false;
+    const outcome = exitCode === 0 ? 'finished' : (exitCode === 1 ? 'finished with failures' : 'was interrupted');
+    console.log(`🕒 Pass ${pass} ${outcome} in ${((Date.now() - passStart) / 1000).toFixed(1)}s\n`);
+
+    if (shutdown) {
+      console.log(`👋 ${shutdown}: watch stopped.\n`);
+      process.exit(0);
+    }
+
+    // Ticks that came due during the pass are skipped, not queued
+    next = schedule.next(passStart);
+    let skipped = 0;
+    while (next <= Date.now()) {
+      skipped++;
+      next = schedule.next(next);
+    }
+    if (skipped > 0) {
+      console.log(`⏭️  Skipped ${skipped} scheduled pass(es) while pass ${pass} was still running\n`);
+    }
+  }
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const { apiKey, limits, listingCache } = prepareRun(runOptions.command === 'sweep'
+    ? '            WorkOS Quarantine Sweep                        '
+    : '            WorkOS Bulk Deletion Script                   ');
+  process.exit(await runDeletion(createClient(apiKey), limits, listingCache));
 }
 
 // Run the script
-main();
+if (runOptions.command === 'restore') {
+  restoreOrganizations();
+} else if (runOptions.command === 'seed') {
+  seedTenant();
+} else if (runOptions.command === 'inspect') {
+  inspectTenant();
+} else if (runOptions.command === 'watch') {
+  watchTenant();
+} else if (runOptions.command === 'mark' || runOptions.command === 'unmark') {
+  markTenant();
+} else {
+  main();
+}
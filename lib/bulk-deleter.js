@@ -0,0 +1,1340 @@
+/**
+ * Bulk Deleter
+ *
+ * Programmatic API behind delete-orgs.js. Lists, filters and deletes
+ * organizations and users, plus the SSO connections, directories, domains
+ * and pending invitations of the deleted organizations, and reports
+ * progress through events; it never prints, reads process.argv or exits.
+ *
+ *   import { WorkOS } from '@workos-inc/node';
+ *   import { createBulkDeleter } from './lib/index.js';
+ *
+ *   const deleter = createBulkDeleter({
+ *     workos: new WorkOS(process.env.WORKOS_API_KEY),
+ *     filters: { expression: 'created < 2005-12-17 AND name ^= "Test"', users: true },
+ *     limits: { users: { requestsPerSecond: 20 } }
+ *   });
+ *   deleter.on('failed', ({ entity, error }) => log(entity.id, error.message));
+ *   const { organizations, users } = await deleter.run();
+ *
+ * Events (each listener receives one object):
+ *   phase-start       { entityType, resumed }         resumed: { succeeded, remaining } or null
+ *   lookup-start      { entityType, count, source }   Looking up an ID list
+ *   lookup-complete   { entityType, requested, found, missing, durationMs }
+ *   listing-start     { entityType, filterExpression, createdCutoff }
+ *   page              { entityType, page, entities, targets, fetched, matches }  A list page was
+ *                                                     fetched; matches are its targets
+ *   listing-complete  { entityType, pages, fetched, cached, matched, stoppedEarly, durationMs }
+ *                                                     cached: entities fetched again by ID from the listing cache
+ *   targets           { entityType, targets, filtered }  Target list known up front (ID lists)
+ *   protected         { entityType, entity }          Matched but on the protected list
+ *   warning           { entityType, entity, message }
+ *   cascade-start     { organizations }
+ *   cascade-plan      { plan, members, durationMs }
+ *   dependents-start  { entityType, organizations }   Listing a dependent type of the targeted orgs
+ *   dependents-found  { entityType, targets, durationMs }
+ *   snapshot          { entityType, count, path }
+ *   delete-start      { entityType, total, requestsPerSecond, concurrency }  total is null while streaming
+ *   target            { entityType, entity }          A streamed target was queued for deletion
+ *   deleted           { entityType, entity, alreadyDeleted }
+ *   failed            { entityType, entity, error, status }
+ *   retry             { kind, attempt, maxAttempts, delayMs, error }
+ *   dry-run           { entityType, targets, streaming }
+ *   phase-complete    { entityType, results, throttled, rate, maxRate }
+ *   stopping          { reason, inFlight }            stop() was called or a budget ran out
+ *   verify-start      { entityType, deleted, checking }  verify() re-fetches a phase's deletions
+ *   verified          { entityType, id, outcome }     outcome: 'gone', 'exists' or 'error'
+ *   verify-complete   { entityType, results, durationMs }
+ */
+
+import { EventEmitter } from 'events';
+import { TokenBucketRateLimiter, executeWithRateLimit, classifyError, getErrorStatus, MAX_ATTEMPTS } from './rate-limiter.js';
+import { parseFilterExpression, filterToString, compileFilter, getCreatedCutoff } from './filters.js';
+import { createProtectedList, isProtected } from './protected-list.js';
+import { appendSnapshot, newSnapshotPath } from './snapshot.js';
+import { uncachedFilterFields } from './listing-cache.js';
+
+// Entities per list request
+const LIST_PAGE_SIZE = 100;
+
+// WorkOS API limits the defaults are tuned for
+export const DEFAULT_LIMITS = {
+  organizations: { requestsPerMinute: 50, concurrency: 5 }, // Delete endpoint: 50 requests per 60 seconds
+  users: { requestsPerSecond: 40, concurrency: 40 }, // User management: 50 req/s, with headroom
+  connections: { requestsPerSecond: 10, concurrency: 5 },
+  directories: { requestsPerSecond: 10, concurrency: 5 },
+  domains: { requestsPerSecond: 10, concurrency: 5 },
+  invitations: { requestsPerSecond: 20, concurrency: 10 }, // Shares the user management limit
+  reads: { requestsPerSecond: 10, concurrency: 10 }, // List and get calls: the rest of the user management limit
+  maxAttempts: MAX_ATTEMPTS
+};
+
+// Per-organization entities deleted before their organization, in this order:
+// invitations and directories first so nobody joins or gets provisioned
+// mid-run, then SSO connections, then the domains they may rely on
+export const DEPENDENT_TYPES = ['invitation', 'directory', 'connection', 'domain'];
+
+const PHASE_NAMES = {
+  organization: 'organizations',
+  user: 'users',
+  invitation: 'invitations',
+  directory: 'directories',
+  connection: 'connections',
+  domain: 'domains'
+};
+
+// API calls per entity type
+const ENTITY_APIS = {
+  organization: {
+    list: (workos, params) => workos.organizations.listOrganizations(params),
+    get: (workos, id) => workos.organizations.getOrganization(id),
+    delete: (workos, id) => workos.organizations.deleteOrganization(id)
+  },
+  user: {
+    list: (workos, params) => workos.userManagement.listUsers(params),
+    get: (workos, id) => workos.userManagement.getUser(id),
+    delete: (workos, id) => workos.userManagement.deleteUser(id)
+  },
+  // Only pending invitations can be revoked; the rest are history
+  invitation: {
+    list: (workos, params) => workos.userManagement.listInvitations(params),
+    get: (workos, id) => workos.userManagement.getInvitation(id),
+    keep: (invitation) => invitation.state === 'pending',
+    delete: (workos, id) => workos.userManagement.revokeInvitation(id)
+  },
+  directory: {
+    list: (workos, params) => workos.directorySync.listDirectories(params),
+    get: (workos, id) => workos.directorySync.getDirectory(id),
+    delete: (workos, id) => workos.directorySync.deleteDirectory(id)
+  },
+  connection: {
+    list: (workos, params) => workos.sso.listConnections(params),
+    get: (workos, id) => workos.sso.getConnection(id),
+    delete: (workos, id) => workos.sso.deleteConnection(id)
+  },
+  // Domains come with the organization object
+  domain: {
+    get: (workos, id) => workos.organizationDomains.get(id),
+    delete: (workos, id) => workos.organizationDomains.delete(id)
+  }
+};
+
+/**
+ * Plural name of an entity type, as used for phases, results and limits
+ */
+export function getPhaseName(entityType) {
+  return PHASE_NAMES[entityType] || `${entityType}s`;
+}
+
+/**
+ * Display name for an organization, user or organization dependent
+ */
+export function getEntityName(entity, entityType) {
+  switch (entityType) {
+    case 'organization':
+    case 'directory':
+      return entity.name || 'Unnamed';
+    case 'connection':
+      return entity.name || entity.type || entity.connectionType || 'Unnamed';
+    case 'domain':
+      return entity.domain || 'Unnamed';
+    case 'invitation':
+      return entity.email || 'Unnamed';
+    default:
+      return entity.firstName && entity.lastName ? `${entity.firstName} ${entity.lastName}` : entity.email || 'Unnamed';
+  }
+}
+
+/**
+ * Result record for a processed entity; dependents keep their organization
+ */
+function toResult(entity, entityType) {
+  const result = {
+    id: entity.id,
+    name: getEntityName(entity, entityType),
+    createdAt: entity.createdAt
+  };
+  if (DEPENDENT_TYPES.includes(entityType)) {
+    result.organizationId = entity.organizationId;
+  }
+  return result;
+}
+
+/**
+ * Whether a resumed phase already dealt with an ID: deleted it, or the
+ * operator excluded it
+ */
+function isSettled(journaled, id) {
+  return Boolean(journaled && (journaled.succeeded.has(id) || journaled.excluded.has(id)));
+}
+
+/**
+ * Pick count items at random, keeping their order
+ */
+function sample(items, count) {
+  const indexes = items.map((item, index) => index);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(Math.random() * (indexes.length - i));
+    [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+  }
+  return indexes.slice(0, count).sort((a, b) => a - b).map(index => items[index]);
+}
+
+/**
+ * Wait for a streamed target list to finish listing and return it as an array
+ */
+export async function collectTargets(targets) {
+  if (Array.isArray(targets)) {
+    return targets;
+  }
+
+  const list = [];
+  for await (const entity of targets) {
+    list.push(entity);
+  }
+  return list;
+}
+
+/**
+ * Bulk deleter for organizations and users.
+ *
+ * Options:
+ *   workos        WorkOS client (required)
+ *   filters       {
+ *                   expression      Filter expression string or parsed filter
+ *                   timeZone        Timezone for YYYY-MM-DD days (default: UTC)
+ *                   ids             { organizations: [], users: [], path } explicit targets;
+ *                                   the expression, if any, narrows them further
+ *                   users           Also delete users
+ *                   cascadeMembers  Also delete users who only belong to deleted orgs
+ *                   orphans         Delete users without memberships (no orgs)
+ *                   protected       { organizationIds, domains, emails } never deleted
+ *                   invitations, directories, connections, domains
+ *                                   Also delete these dependents of every targeted
+ *                                   organization before it; an organization whose
+ *                                   dependents fail to delete is not deleted
+ *                 }
+ *   limits        { organizations: { requestsPerMinute, concurrency },
+ *                   users: { requestsPerSecond, concurrency },
+ *                   invitations | directories | connections | domains:
+ *                     { requestsPerSecond, concurrency },
+ *                   reads: { requestsPerSecond, concurrency }, maxAttempts }
+ *                 Deletions of each type have their own rate limiter; every
+ *                 list and get call shares the reads limiter
+ *   dryRun        List targets without deleting
+ *   journal       RunJournal to checkpoint into; resumeState resumes from a loaded one
+ *   snapshotDir   Directory for pre-deletion snapshots (none when omitted)
+ *   beforeDelete  async (targets, entityType, { exclude }) => targets, called
+ *                 before each phase deletes; targets is an array or, while
+ *                 still being listed, an async iterable. exclude(entities)
+ *                 records targets left out on purpose (skipped.excluded), so
+ *                 a resume does not bring them back
+ *   budget        { deletions, durationMs }: stop the run once this many
+ *                 deletions were attempted or this much time has passed
+ *   concurrentPhases  Delete users while the organizations (and their
+ *                 dependents) are deleted, instead of afterwards (default:
+ *                 true; cascadeMembers and a deletion budget keep them in
+ *                 order).
+ *                 beforeDelete may then be called while the other phase is
+ *                 deleting.
+ *   listingCache  ListingCache (listing-cache.js) that organization and user
+ *                 listings are read from and refreshed into; cached matches
+ *                 are fetched again by ID before they become targets, and
+ *                 deleted IDs are dropped from it. The caller saves it.
+ *
+ * stop(reason) ends a run early: no new deletions are scheduled, in-flight
+ * ones finish, and run() resolves with `stopped` set to the reason.
+ */
+export class BulkDeleter extends EventEmitter {
+  constructor({ workos, filters = {}, limits = {}, dryRun = false, journal = null, resumeState = null, snapshotDir = null, beforeDelete = null, budget = {}, concurrentPhases = true, listingCache = null } = {}) {
+    super();
+    if (!workos) {
+      throw new Error('createBulkDeleter requires a WorkOS client (workos)');
+    }
+
+    this.workos = workos;
+    this.dryRun = dryRun;
+    this.journal = journal;
+    this.resumeState = resumeState;
+    this.snapshotDir = snapshotDir;
+    this.snapshotPath = null;
+    this.beforeDelete = beforeDelete;
+    this.concurrentPhases = concurrentPhases;
+    this.listingCache = listingCache;
+
+    const filter = typeof filters.expression === 'string'
+      ? parseFilterExpression(filters.expression)
+      : filters.expression || null;
+    this.filters = {
+      timeZone: 'UTC',
+      ids: null,
+      users: false,
+      cascadeMembers: false,
+      orphans: false,
+      invitations: false,
+      directories: false,
+      connections: false,
+      domains: false,
+      ...filters,
+      expression: filter
+    };
+    this.filterExpression = filter ? filterToString(filter) : null;
+
+    // An ID list without filters matches every listed entity
+    this.matches = () => true;
+    this.createdCutoff = null;
+    if (filter) {
+      const now = Date.now();
+      try {
+        this.matches = compileFilter(filter, this.filters.timeZone, now);
+        this.createdCutoff = getCreatedCutoff(filter, now);
+      } catch (error) {
+        throw new Error(`Invalid filter: ${error.message}`);
+      }
+    }
+
+    const protectedList = filters.protected;
+    this.protectedList = protectedList?.organizationIds instanceof Set
+      ? protectedList
+      : createProtectedList(protectedList);
+
+    this.limits = {
+      maxAttempts: limits.maxAttempts ?? DEFAULT_LIMITS.maxAttempts,
+      reads: { ...DEFAULT_LIMITS.reads, ...limits.reads }
+    };
+    for (const entityType of Object.keys(PHASE_NAMES)) {
+      const phaseName = getPhaseName(entityType);
+      this.limits[phaseName] = { ...DEFAULT_LIMITS[phaseName], ...limits[phaseName] };
+    }
+
+    // Separate rate limiters for the deletions of each type, plus one for
+    // reads so listing never eats into a phase's deletion budget
+    this.rateLimiters = { read: new TokenBucketRateLimiter(this.limits.reads.requestsPerSecond) };
+    for (const entityType of Object.keys(PHASE_NAMES)) {
+      this.rateLimiters[entityType] = new TokenBucketRateLimiter(this.getDeletionLimits(entityType).requestsPerSecond);
+    }
+
+    this.results = { organizations: null, users: null };
+    for (const entityType of this.dependentTypes) {
+      this.results[getPhaseName(entityType)] = null;
+    }
+    // Organizations not deleted because a dependent failed: id -> reason
+    this.blocked = new Map();
+    // Delete requests currently in progress
+    this.inFlight = 0;
+
+    // Budgets and early stop: the first stop() reason wins
+    this.budget = { deletions: budget.deletions ?? null, durationMs: budget.durationMs ?? null };
+    this.deletionsStarted = 0;
+    this.stopReason = null;
+    this.stopped = new Promise(resolve => { this.resolveStopped = resolve; });
+    this.timings = {};
+    this.skipped = {
+      protected: { organization: [], user: [] },
+      excluded: { organization: [], user: [] },
+      cascadeMembers: [],
+      missing: { organization: [], user: [] }
+    };
+  }
+
+  /**
+   * Whether the run deletes users at all
+   */
+  get deletesUsers() {
+    const { users, cascadeMembers, orphans, ids } = this.filters;
+    // User IDs in the list and the membership modes imply a user phase
+    return Boolean(users || cascadeMembers || orphans || ids?.users?.length);
+  }
+
+  /**
+   * Organization dependents the run deletes, in deletion order
+   */
+  get dependentTypes() {
+    return this.filters.orphans ? [] : DEPENDENT_TYPES.filter(entityType => this.filters[getPhaseName(entityType)]);
+  }
+
+  /**
+   * Delete rate and concurrency for an entity type
+   */
+  getDeletionLimits(entityType) {
+    const limits = this.limits[getPhaseName(entityType)];
+    return entityType === 'organization'
+      ? { requestsPerSecond: limits.requestsPerMinute / 60, concurrency: limits.concurrency }
+      : { requestsPerSecond: limits.requestsPerSecond, concurrency: limits.concurrency };
+  }
+
+  /**
+   * Run every phase: the dependents of the targeted organizations, the
+   * organizations themselves (unless orphans), and users. The user phase
+   * runs alongside the organization phases, each with its own rate limiter,
+   * unless concurrentPhases is off, members are cascaded (they depend on the
+   * organizations being deleted first) or a deletion budget is set (so which
+   * targets it covers doesn't depend on timing).
+   * Returns { organizations, users, <dependents>, skipped, timings, snapshotPath, stopped }
+   * where each phase result is { successful, failed } or null when it didn't run,
+   * and stopped is the stop() reason or null.
+   * If a phase throws, the other is stopped ('failed') and the results so far
+   * stay available on this.results.
+   */
+  async run() {
+    const timer = this.budget.durationMs !== null
+      ? setTimeout(() => this.stop('max-duration'), this.budget.durationMs)
+      : null;
+
+    try {
+      if (this.runsPhasesConcurrently) {
+        await this.runConcurrently([() => this.runOrganizationPhases(), () => this.runUserPhase()]);
+      } else {
+        const cascadePlan = await this.runOrganizationPhases();
+        await this.runUserPhase(cascadePlan);
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return {
+      ...this.results,
+      skipped: this.skipped,
+      timings: this.timings,
+      snapshotPath: this.snapshotPath,
+      stopped: this.stopReason
+    };
+  }
+
+  /**
+   * Whether run() deletes users while the organizations are deleted
+   */
+  get runsPhasesConcurrently() {
+    return this.concurrentPhases
+      && !this.filters.orphans
+      && this.deletesUsers
+      && !this.filters.cascadeMembers
+      && this.budget.deletions === null;
+  }
+
+  /**
+   * Run pipelines side by side. The first one to throw stops the others,
+   * which wind down before its error is rethrown.
+   */
+  async runConcurrently(pipelines) {
+    const outcomes = await Promise.allSettled(pipelines.map(async (pipeline) => {
+      try {
+        return await pipeline();
+      } catch (error) {
+        this.stop('failed');
+        throw error;
+      }
+    }));
+    const failure = outcomes.find(outcome => outcome.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+  }
+
+  /**
+   * Fetch and delete the organizations and their dependents (orphans only
+   * deletes users). Returns the cascade plan for the user phase, if any.
+   */
+  async runOrganizationPhases() {
+    let cascadePlan = this.resumeState?.cascadePlan || null;
+    if (this.filters.orphans) {
+      return cascadePlan;
+    }
+
+    this.timings.organizations = { startedAt: Date.now() };
+    let organizations = await this.confirm(
+      await this.resolvePhaseTargets('organization', this.getPhaseSource('organization')),
+      'organization'
+    );
+
+    // Memberships disappear with their organization, so plan the cascade first
+    if (this.filters.cascadeMembers && !cascadePlan) {
+      organizations = await collectTargets(organizations);
+      // A listing cut short would leave members of the rest out of the plan
+      if (!this.stopReason) {
+        cascadePlan = await this.planCascadeMembers(organizations);
+        this.journal?.recordCascadePlan(cascadePlan);
+      }
+    }
+
+    if (this.dependentTypes.length > 0 && !this.stopReason) {
+      organizations = await collectTargets(organizations);
+      await this.deleteDependents(organizations);
+    }
+
+    if (!this.stopReason) {
+      this.results.organizations = await this.deleteEntities('organization', organizations);
+      this.completePhase('organizations');
+    }
+    this.timings.organizations.finishedAt = Date.now();
+    return cascadePlan;
+  }
+
+  /**
+   * Fetch and delete users (cascaded members need the organization phases'
+   * plan, so they always run afterwards)
+   */
+  async runUserPhase(cascadePlan = null) {
+    if (!this.deletesUsers || this.stopReason) {
+      return;
+    }
+    this.timings.users = { startedAt: Date.now() };
+    const users = await this.resolvePhaseTargets('user', this.getPhaseSource('user', cascadePlan));
+    this.results.users = await this.deleteEntities('user', await this.confirm(users, 'user'));
+    this.completePhase('users');
+    this.timings.users.finishedAt = Date.now();
+  }
+
+  /**
+   * Re-fetch what a run deleted to confirm it is gone: every entity, or a
+   * random sample when sampleRate is below 1. An entity that can still be
+   * fetched (for invitations: is still pending) lands in stillExists, with
+   * reappeared set when it was updated after its phase started (re-created,
+   * e.g. by directory sync); lookups that keep failing land in errors.
+   * Returns { <phase>: { deleted, checked, gone, stillExists, errors } } for
+   * every phase that deleted something.
+   */
+  async verify(results = this.results, { sampleRate = 1 } = {}) {
+    if (!(sampleRate > 0 && sampleRate <= 1)) {
+      throw new Error(`Verification sample rate must be above 0 and at most 1, got ${sampleRate}`);
+    }
+
+    const verification = {};
+    for (const [entityType, phaseName] of Object.entries(PHASE_NAMES)) {
+      const deleted = results[phaseName]?.successful || [];
+      if (deleted.length === 0) {
+        continue;
+      }
+
+      const targets = sampleRate < 1 ? sample(deleted, Math.max(1, Math.round(deleted.length * sampleRate))) : deleted;
+      const api = ENTITY_APIS[entityType];
+      const phaseStartedAt = this.timings[phaseName]?.startedAt ?? null;
+      const phaseResults = { deleted: deleted.length, checked: targets.length, gone: 0, stillExists: [], errors: [] };
+      const startTime = Date.now();
+      this.emit('verify-start', { entityType, deleted: deleted.length, checking: targets.length });
+
+      await this.runInBatches(targets, async (target) => {
+        let outcome = 'gone';
+        try {
+          const entity = await this.call(() => api.get(this.workos, target.id), this.rateLimiters.read);
+          if (!api.keep || api.keep(entity)) {
+            const updatedAt = entity.updatedAt ?? null;
+            const reappeared = phaseStartedAt !== null && Date.parse(updatedAt) >= phaseStartedAt;
+            phaseResults.stillExists.push({ ...target, updatedAt, reappeared });
+            outcome = 'exists';
+          }
+        } catch (error) {
+          if (classifyError(error) !== 'not-found') {
+            phaseResults.errors.push({ ...target, error: error.message, status: getErrorStatus(error) });
+            outcome = 'error';
+          }
+        }
+        if (outcome === 'gone') {
+          phaseResults.gone++;
+        }
+        this.emit('verified', { entityType, id: target.id, outcome });
+      });
+
+      verification[phaseName] = phaseResults;
+      this.emit('verify-complete', { entityType, results: phaseResults, durationMs: Date.now() - startTime });
+    }
+    return verification;
+  }
+
+  /**
+   * Stop the run early: no new deletions are scheduled and listing stops
+   * after the current page; in-flight deletions finish. A stop() reason
+   * such as 'interrupted' ends up in run()'s result; 'limit' and
+   * 'max-duration' are used when a budget runs out.
+   */
+  stop(reason = 'stopped') {
+    if (this.stopReason) {
+      return;
+    }
+    this.stopReason = reason;
+    this.emit('stopping', { reason, inFlight: this.inFlight });
+    this.resolveStopped();
+  }
+
+  /**
+   * Deletions the budget still allows
+   */
+  get remainingDeletions() {
+    return this.budget.deletions === null ? Infinity : this.budget.deletions - this.deletionsStarted;
+  }
+
+  /**
+   * Journal a phase as complete, unless the run stopped part-way through it
+   * (a resume then continues the phase)
+   */
+  completePhase(phaseName) {
+    if (!this.stopReason) {
+      this.journal?.completePhase(phaseName);
+    }
+  }
+
+  /**
+   * List every entity of a type that the filters select, without deleting
+   * anything or writing journal entries and snapshots
+   */
+  async listTargets(entityType) {
+    return collectTargets(await this.resolvePhaseTargets(entityType, this.getPhaseSource(entityType), false));
+  }
+
+  /**
+   * Pass targets through the beforeDelete hook
+   */
+  async confirm(targets, entityType) {
+    if (!this.beforeDelete) {
+      return targets;
+    }
+    return this.beforeDelete(targets, entityType, {
+      exclude: (entities) => this.excludeTargets(entityType, entities)
+    });
+  }
+
+  /**
+   * Record targets the beforeDelete hook left out on purpose, so they are
+   * reported and a resume does not bring them back
+   */
+  excludeTargets(entityType, entities) {
+    this.skipped.excluded[entityType].push(...entities.map(entity => ({ id: entity.id, name: getEntityName(entity, entityType) })));
+    this.journal?.excludeTargets(getPhaseName(entityType), entities.map(entity => entity.id));
+  }
+
+  /**
+   * Where the targets of a phase come from: an ID list, or listing with the
+   * filter (refined to orphans, or replaced by the cascade plan for users)
+   */
+  getPhaseSource(entityType, cascadePlan = null) {
+    const { ids, cascadeMembers, orphans } = this.filters;
+
+    if (entityType === 'user' && cascadeMembers && cascadePlan) {
+      // Members are selected by membership, not by the filter
+      return {
+        ids: this.resolveCascadeUserIds(cascadePlan),
+        label: 'members of deleted organizations',
+        applyFilter: false
+      };
+    }
+    if (entityType === 'user' && orphans) {
+      return { refine: (users) => this.keepOrphans(users) };
+    }
+    if (ids) {
+      return {
+        ids: (entityType === 'organization' ? ids.organizations : ids.users) || [],
+        label: ids.path || 'ID list'
+      };
+    }
+    return {};
+  }
+
+  /**
+   * Call the API through a rate limiter, reporting retries as events
+   */
+  call(apiCall, rateLimiter) {
+    return executeWithRateLimit(apiCall, rateLimiter, {
+      maxAttempts: this.limits.maxAttempts,
+      onRetry: (retry) => this.emit('retry', retry)
+    });
+  }
+
+  /**
+   * Fetch one page of a list endpoint, newest first.
+   * Returns { page, after } where after is the cursor of the next page or null.
+   */
+  async fetchListPage(entityType, after, stats) {
+    stats.pages++;
+    const params = {
+      limit: LIST_PAGE_SIZE,
+      order: 'desc'
+    };
+
+    if (after) {
+      params.after = after;
+    }
+
+    const response = await this.call(() => ENTITY_APIS[entityType].list(this.workos, params), this.rateLimiters.read);
+    return { page: response.data || [], after: response.listMetadata?.after || null };
+  }
+
+  /**
+   * Fetch entities page by page (newest first).
+   * Yields each page as soon as it arrives. When a createdAt cutoff is given,
+   * pagination stops after the first page that reaches records older than
+   * it - results are sorted descending, so no later page can match.
+   * With a listing cache that covers the listing, and a filter it can
+   * answer, older records come from the cache (see fetchCachedPages).
+   */
+  async *fetchPages(entityType, stats, createdCutoff = null) {
+    const cache = this.listingCache?.holds(entityType) ? this.listingCache : null;
+    if (cache?.covers(entityType, createdCutoff) && uncachedFilterFields(this.filters.expression).length === 0) {
+      yield* this.fetchCachedPages(entityType, stats, createdCutoff);
+      return;
+    }
+
+    yield* this.listPages(entityType, stats, createdCutoff, null, cache ? [] : null);
+  }
+
+  /**
+   * List from a cursor (null: the first page) to the end of the list or the
+   * createdAt cutoff. listed collects the records for the listing cache,
+   * which is refreshed once the listing completes.
+   */
+  async *listPages(entityType, stats, createdCutoff, after, listed) {
+    do {
+      const response = await this.fetchListPage(entityType, after, stats);
+      const page = response.page;
+      stats.fetched += page.length;
+      listed?.push(...page);
+
+      yield page;
+
+      after = response.after;
+
+      const oldest = page[page.length - 1];
+      if (after && createdCutoff !== null && oldest?.createdAt && Date.parse(oldest.createdAt) < createdCutoff) {
+        stats.stoppedEarly = true;
+        break;
+      }
+    } while (after);
+
+    // Not reached when the consumer stops early, so a partial listing is never cached
+    if (listed) {
+      const coversFrom = stats.stoppedEarly ? listed[listed.length - 1].createdAt : null;
+      // A listing that stopped early keeps the older records already cached
+      if (coversFrom !== null && this.listingCache.covers(entityType, Date.parse(coversFrom))) {
+        this.listingCache.merge(entityType, listed);
+      } else {
+        this.listingCache.store(entityType, listed, coversFrom);
+      }
+    }
+  }
+
+  /**
+   * Fetch what was created since the newest cached record, then the older
+   * cached records that match the filter, again by ID and in pages - so the
+   * protected list, snapshot and journal see each target as it is now, and
+   * IDs deleted elsewhere drop out. When that takes more calls than listing
+   * the rest, the rest is listed instead.
+   */
+  async *fetchCachedPages(entityType, stats, createdCutoff) {
+    const cache = this.listingCache;
+    const newest = cache.newestCreatedAt(entityType);
+    const fresh = [];
+    let after = null;
+
+    do {
+      const response = await this.fetchListPage(entityType, after, stats);
+      const page = response.page;
+      stats.fetched += page.length;
+      fresh.push(...page);
+
+      yield page;
+
+      after = response.after;
+
+      const oldest = page[page.length - 1];
+      if (after && createdCutoff !== null && oldest?.createdAt && Date.parse(oldest.createdAt) < createdCutoff) {
+        stats.stoppedEarly = true;
+        cache.merge(entityType, fresh);
+        return;
+      }
+      // Records created up to the newest cached one are already cached
+      if (newest !== null && oldest?.createdAt && Date.parse(oldest.createdAt) <= newest) {
+        break;
+      }
+    } while (after);
+
+    if (!after) {
+      cache.store(entityType, fresh, null);
+      return;
+    }
+
+    const freshIds = new Set(fresh.map(entity => entity.id));
+    const older = cache.entities(entityType).filter(record => !freshIds.has(record.id));
+    const inRange = createdCutoff === null ? older : older.filter(record => Date.parse(record.createdAt) >= createdCutoff);
+    const candidates = inRange.filter(record => this.matches(record, entityType));
+
+    // A candidate costs a get; listing the rest costs a call per page
+    if (candidates.length > Math.ceil(inRange.length / LIST_PAGE_SIZE)) {
+      yield* this.listPages(entityType, stats, createdCutoff, after, fresh);
+      return;
+    }
+
+    cache.merge(entityType, fresh);
+    stats.stoppedEarly = inRange.length < older.length;
+    for (let start = 0; start < candidates.length; start += LIST_PAGE_SIZE) {
+      const page = await this.refetchCached(entityType, candidates.slice(start, start + LIST_PAGE_SIZE));
+      stats.fetched += page.length;
+      stats.cached += page.length;
+
+      yield page;
+    }
+  }
+
+  /**
+   * Fetch cached records again by ID, keeping their order; records that no
+   * longer exist are dropped from the listing cache
+   */
+  async refetchCached(entityType, records) {
+    const found = [];
+
+    await this.runInBatches(records, async (record) => {
+      try {
+        found.push(await this.call(() => ENTITY_APIS[entityType].get(this.workos, record.id), this.rateLimiters.read));
+      } catch (error) {
+        if (classifyError(error) === 'not-found') {
+          this.listingCache.remove(entityType, record.id);
+          return;
+        }
+        error.message = `Error looking up ${entityType} ${record.id}: ${error.message}`;
+        throw error;
+      }
+    });
+
+    const order = new Map(records.map((record, index) => [record.id, index]));
+    return found.sort((a, b) => order.get(a.id) - order.get(b.id));
+  }
+
+  /**
+   * Fetch entities by ID, collecting IDs that don't exist in this.skipped.missing
+   */
+  async fetchEntitiesByIds(ids, entityType, source) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    this.emit('lookup-start', { entityType, count: ids.length, source });
+
+    const found = [];
+    const missing = this.skipped.missing[entityType];
+    const missingBefore = missing.length;
+    const startTime = Date.now();
+
+    await this.runInBatches(ids, async (id) => {
+      try {
+        found.push(await this.call(() => ENTITY_APIS[entityType].get(this.workos, id), this.rateLimiters.read));
+      } catch (error) {
+        if (classifyError(error) === 'not-found') {
+          missing.push(id);
+          return;
+        }
+        error.message = `Error looking up ${entityType} ${id}: ${error.message}`;
+        throw error;
+      }
+    });
+
+    this.emit('lookup-complete', {
+      entityType,
+      requested: ids.length,
+      found: found.length,
+      missing: missing.slice(missingBefore),
+      durationMs: Date.now() - startTime
+    });
+
+    // Keep the order of the list
+    const order = new Map(ids.map((id, index) => [id, index]));
+    return found.sort((a, b) => order.get(a.id) - order.get(b.id));
+  }
+
+  /**
+   * Run an async function over items in batches to keep concurrent reads bounded
+   */
+  async runInBatches(items, fn, batchSize = this.limits.reads.concurrency) {
+    for (let i = 0; i < items.length; i += batchSize) {
+      await Promise.all(items.slice(i, i + batchSize).map(fn));
+    }
+  }
+
+  /**
+   * Fetch every page of a list endpoint
+   */
+  async listAll(list, filter, rateLimiter = this.rateLimiters.read) {
+    const entities = [];
+    let after = null;
+
+    do {
+      const params = { ...filter, limit: 100 };
+      if (after) {
+        params.after = after;
+      }
+
+      const response = await this.call(() => list(params), rateLimiter);
+
+      entities.push(...(response.data || []));
+      after = response.listMetadata?.after || null;
+    } while (after);
+
+    return entities;
+  }
+
+  /**
+   * List organization memberships (by organizationId or userId) across all pages
+   */
+  async listOrganizationMemberships(filter) {
+    return this.listAll((params) => this.workos.userManagement.listOrganizationMemberships(params), filter);
+  }
+
+  /**
+   * Delete the enabled dependents of the targeted organizations, one type
+   * at a time. Organizations with a dependent that could not be deleted are
+   * recorded in this.blocked and fail instead of being deleted.
+   */
+  async deleteDependents(organizations) {
+    for (const entityType of this.dependentTypes) {
+      if (this.stopReason) {
+        break;
+      }
+      const phaseName = getPhaseName(entityType);
+      this.timings[phaseName] = { startedAt: Date.now() };
+
+      // An organization that is already blocked keeps the rest of its dependents
+      const remaining = organizations.filter(org => !this.blocked.has(org.id));
+      const targets = await this.resolvePhaseTargets(entityType, {
+        fetch: () => this.listDependents(entityType, remaining)
+      });
+      const results = await this.deleteEntities(entityType, await this.confirm(targets, entityType));
+      this.results[phaseName] = results;
+
+      for (const failure of results.failed) {
+        if (failure.organizationId && !this.blocked.has(failure.organizationId)) {
+          this.blocked.set(failure.organizationId, `${entityType} ${failure.id} could not be deleted`);
+        }
+      }
+
+      this.completePhase(phaseName);
+      this.timings[phaseName].finishedAt = Date.now();
+    }
+  }
+
+  /**
+   * List the dependents of one type across the targeted organizations.
+   * Each dependent carries the organizationId it belongs to.
+   */
+  async listDependents(entityType, organizations) {
+    this.emit('dependents-start', { entityType, organizations: organizations.length });
+    const startTime = Date.now();
+    const api = ENTITY_APIS[entityType];
+    const rateLimiter = this.rateLimiters.read;
+    const dependents = [];
+
+    await this.runInBatches(organizations, async (org) => {
+      let entities;
+      if (entityType === 'domain') {
+        // Journaled targets don't carry their domains
+        entities = org.domains ?? (await this.call(() => ENTITY_APIS.organization.get(this.workos, org.id), rateLimiter)).domains ?? [];
+      } else {
+        entities = await this.listAll((params) => api.list(this.workos, params), { organizationId: org.id }, rateLimiter);
+      }
+      dependents.push(...entities
+        .filter(entity => !api.keep || api.keep(entity))
+        .map(entity => ({ ...entity, organizationId: org.id })));
+    });
+
+    this.emit('dependents-found', { entityType, targets: dependents, durationMs: Date.now() - startTime });
+    return dependents;
+  }
+
+  /**
+   * Work out which members of the targeted organizations can be deleted with
+   * them. Must run before the organizations are deleted, since deleting an
+   * organization removes its memberships.
+   *
+   * Returns { candidates: [{ userId, organizationIds }], skipped: [{ userId, otherOrganizationIds }] }
+   * where candidates belong to targeted organizations only.
+   */
+  async planCascadeMembers(organizations) {
+    this.emit('cascade-start', { organizations: organizations.length });
+    const startTime = Date.now();
+
+    const targetedOrgIds = new Set(organizations.map(org => org.id));
+    const memberIds = new Set();
+
+    await this.runInBatches(organizations, async (org) => {
+      const memberships = await this.listOrganizationMemberships({ organizationId: org.id });
+      memberships.forEach(membership => memberIds.add(membership.userId));
+    });
+
+    const candidates = [];
+    const skipped = [];
+
+    // Every membership of every member counts, whatever its status
+    await this.runInBatches([...memberIds], async (userId) => {
+      const memberships = await this.listOrganizationMemberships({ userId });
+      const organizationIds = memberships.map(membership => membership.organizationId);
+      const otherOrganizationIds = organizationIds.filter(id => !targetedOrgIds.has(id));
+
+      if (otherOrganizationIds.length > 0) {
+        skipped.push({ userId, otherOrganizationIds });
+      } else {
+        candidates.push({ userId, organizationIds });
+      }
+    });
+
+    const plan = { candidates, skipped };
+    this.emit('cascade-plan', { plan, members: memberIds.size, durationMs: Date.now() - startTime });
+    return plan;
+  }
+
+  /**
+   * Pick the cascade candidates whose organizations were all deleted.
+   * Members of an organization that failed to delete are skipped too.
+   */
+  resolveCascadeUserIds(plan) {
+    const deletedOrgIds = new Set((this.results.organizations?.successful || []).map(org => org.id));
+    this.resumeState?.phases.organizations?.succeeded.forEach(id => deletedOrgIds.add(id));
+
+    const userIds = [];
+    for (const candidate of plan.candidates) {
+      const remaining = candidate.organizationIds.filter(id => !deletedOrgIds.has(id));
+      if (remaining.length === 0) {
+        userIds.push(candidate.userId);
+      } else {
+        this.skipped.cascadeMembers.push({ userId: candidate.userId, otherOrganizationIds: remaining, reason: 'organization not deleted' });
+      }
+    }
+    this.skipped.cascadeMembers.push(...plan.skipped.map(entry => ({ ...entry, reason: 'member of other organizations' })));
+
+    return userIds;
+  }
+
+  /**
+   * Keep only users without any organization membership
+   */
+  async keepOrphans(users) {
+    const orphans = [];
+    await this.runInBatches(users, async (user) => {
+      const response = await this.call(() =>
+        this.workos.userManagement.listOrganizationMemberships({ userId: user.id, limit: 1 }),
+        this.rateLimiters.read
+      );
+      if (!response.data || response.data.length === 0) {
+        orphans.push(user);
+      }
+    });
+
+    // Keep the listing order
+    const order = new Map(users.map((user, index) => [user.id, index]));
+    return orphans.sort((a, b) => order.get(a.id) - order.get(b.id));
+  }
+
+  /**
+   * Check an entity against the compiled filter expression.
+   * Protected entities never match.
+   */
+  matchesTarget(entity, entityType, applyFilter = true) {
+    if (!entity.createdAt) {
+      this.emit('warning', { entityType, entity, message: `${entityType} ${entity.id} has no createdAt field` });
+      return false;
+    }
+    if (applyFilter && !this.matches(entity, entityType)) {
+      return false;
+    }
+    if (isProtected(entity, entityType, this.protectedList)) {
+      this.skipped.protected[entityType].push({ id: entity.id, name: getEntityName(entity, entityType) });
+      this.emit('protected', { entityType, entity });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Determine the entities a phase should delete.
+   * Returns an array when the targets are known up front (ID lists and
+   * resumed phases whose listing had finished), otherwise a stream that
+   * lists, filters and records targets page by page.
+   * When resuming, the journaled target set is reused (minus IDs that were
+   * already deleted) instead of fetching everything again.
+   */
+  async resolvePhaseTargets(entityType, source, record = true) {
+    const phaseName = getPhaseName(entityType);
+    const journaled = this.resumeState?.phases[phaseName];
+    const journal = record ? this.journal : null;
+
+    if (journaled?.listed) {
+      const remaining = journaled.targets.filter(target => !journaled.succeeded.has(target.id));
+      this.emit('phase-start', { entityType, resumed: { succeeded: journaled.succeeded.size, remaining: remaining.length } });
+      journal?.startPhase(phaseName, true);
+      return remaining;
+    }
+
+    this.emit('phase-start', { entityType, resumed: journaled ? { succeeded: journaled.succeeded.size, remaining: null } : null });
+    journal?.startPhase(phaseName, Boolean(journaled));
+
+    // Dependents are selected by their organization, not by the filter
+    if (source.fetch) {
+      const targets = (await source.fetch()).filter(target => !isSettled(journaled, target.id));
+      if (record) {
+        this.recordTargets(phaseName, targets, entityType, journaled);
+      }
+      journal?.completeListing(phaseName);
+      return targets;
+    }
+
+    if (source.ids) {
+      const entities = await this.fetchEntitiesByIds(source.ids, entityType, source.label);
+      const applyFilter = source.applyFilter !== false;
+      const targets = entities
+        .filter(entity => this.matchesTarget(entity, entityType, applyFilter))
+        .filter(target => !isSettled(journaled, target.id));
+      this.emit('targets', { entityType, targets, filtered: applyFilter && Boolean(this.filterExpression) });
+      if (record) {
+        this.recordTargets(phaseName, targets, entityType, journaled);
+      }
+      journal?.completeListing(phaseName);
+      return targets;
+    }
+
+    return this.streamPhaseTargets(entityType, journaled, source.refine, record);
+  }
+
+  /**
+   * Stream matching targets while listing, snapshotting and journaling each
+   * page before any of its entities are handed out for deletion
+   */
+  async *streamPhaseTargets(entityType, journaled, refine = null, record = true) {
+    const phaseName = getPhaseName(entityType);
+    const stats = { pages: 0, fetched: 0, cached: 0, matched: 0, stoppedEarly: false };
+    const startTime = Date.now();
+
+    this.emit('listing-start', { entityType, filterExpression: this.filterExpression, createdCutoff: this.createdCutoff });
+
+    for await (const page of this.fetchPages(entityType, stats, this.createdCutoff)) {
+      if (this.stopReason) {
+        // The listing stays incomplete in the journal, so a resume lists the rest
+        return;
+      }
+      let targets = page.filter(entity => this.matchesTarget(entity, entityType) && !isSettled(journaled, entity.id));
+      if (refine) {
+        targets = await refine(targets);
+      }
+      if (record) {
+        this.recordTargets(phaseName, targets, entityType, journaled);
+      }
+      stats.matched += targets.length;
+      this.emit('page', { entityType, page: stats.pages, entities: page.length, targets: targets.length, fetched: stats.fetched, matches: targets });
+      yield* targets;
+    }
+
+    if (record) {
+      this.journal?.completeListing(phaseName);
+    }
+
+    this.emit('listing-complete', { entityType, ...stats, durationMs: Date.now() - startTime });
+  }
+
+  /**
+   * Snapshot and journal targets that are not already on record
+   */
+  recordTargets(phaseName, targets, entityType, journaled) {
+    const newTargets = journaled ? targets.filter(target => !journaled.targetIds.has(target.id)) : targets;
+    this.writeSnapshot(newTargets, entityType);
+    this.journal?.appendTargets(phaseName, newTargets);
+  }
+
+  /**
+   * Append targets to this run's snapshot file (created on first use)
+   */
+  writeSnapshot(entities, entityType) {
+    if (this.dryRun || !this.snapshotDir || entities.length === 0) {
+      return;
+    }
+
+    if (!this.snapshotPath) {
+      this.snapshotPath = newSnapshotPath(this.snapshotDir);
+    }
+    appendSnapshot(this.snapshotPath, entities, entityType);
+    this.emit('snapshot', { entityType, count: entities.length, path: this.snapshotPath });
+  }
+
+  /**
+   * Delete multiple entities concurrently with controlled concurrency.
+   * `entities` is either an array or an async iterable of targets that are
+   * still being listed; in the latter case deletions start with the first
+   * target and listing continues in the background.
+   */
+  async deleteEntities(entityType, entities) {
+    const streaming = !Array.isArray(entities);
+    const rateLimiter = this.rateLimiters[entityType];
+    const { requestsPerSecond, concurrency: concurrencyLimit } = this.getDeletionLimits(entityType);
+    const results = {
+      successful: [],
+      failed: []
+    };
+
+    const throttledBefore = rateLimiter.throttleCount;
+    const complete = () => {
+      const throttled = rateLimiter.throttleCount - throttledBefore;
+      this.emit('phase-complete', { entityType, results, throttled, rate: rateLimiter.refillRate, maxRate: rateLimiter.maxRate });
+      return results;
+    };
+
+    if (this.dryRun) {
+      let targets = await collectTargets(entities);
+      if (targets.length > this.remainingDeletions) {
+        targets = targets.slice(0, this.remainingDeletions);
+        this.stop('limit');
+      }
+      this.deletionsStarted += targets.length;
+      if (targets.length > 0) {
+        this.emit('dry-run', { entityType, targets, streaming });
+      }
+      results.successful = targets.map(e => toResult(e, entityType));
+      return complete();
+    }
+
+    if (!streaming && entities.length === 0) {
+      return complete();
+    }
+
+    // Targets waiting to be deleted, filled by the listing pump when streaming
+    const pending = streaming ? [] : entities;
+    let nextIndex = 0;
+    let listingDone = !streaming;
+    let listingError = null;
+    let wakeUp = null;
+    let started = false;
+
+    const start = () => {
+      started = true;
+      this.emit('delete-start', { entityType, total: streaming ? null : entities.length, requestsPerSecond, concurrency: concurrencyLimit });
+    };
+
+    let listing = null;
+    if (streaming) {
+      // Keep listing while deletions run
+      listing = (async () => {
+        try {
+          for await (const entity of entities) {
+            if (this.stopReason) {
+              break;
+            }
+            if (!started) {
+              start();
+            }
+            pending.push(entity);
+            this.emit('target', { entityType, entity });
+            wakeUp?.();
+          }
+        } catch (error) {
+          listingError = error;
+        }
+        listingDone = true;
+        wakeUp?.();
+      })();
+    } else {
+      start();
+    }
+
+    // Process deletions with controlled concurrency
+    const processingQueue = [];
+
+    while (!listingError && !this.stopReason) {
+      if (nextIndex >= pending.length) {
+        if (listingDone) {
+          break;
+        }
+        await Promise.race([new Promise(resolve => { wakeUp = resolve; }), this.stopped]);
+        wakeUp = null;
+        continue;
+      }
+
+      // Only stop for the budget when there is more to delete
+      if (this.remainingDeletions <= 0) {
+        this.stop('limit');
+        break;
+      }
+
+      const entity = pending[nextIndex];
+      if (streaming) {
+        // Release targets that have been handed out
+        pending[nextIndex] = undefined;
+      }
+      nextIndex++;
+
+      // Wait if we've hit the concurrency limit (reduced while throttled)
+      while (processingQueue.length >= rateLimiter.scaleConcurrency(concurrencyLimit)) {
+        await Promise.race(processingQueue);
+      }
+      if (this.stopReason) {
+        break;
+      }
+
+      // Start deletion
+      this.deletionsStarted++;
+      const deletionPromise = this.deleteOne(entityType, entity, rateLimiter, results);
+      processingQueue.push(deletionPromise);
+
+      // Remove completed promises from the queue
+      deletionPromise.finally(() => {
+        const index = processingQueue.indexOf(deletionPromise);
+        if (index > -1) {
+          processingQueue.splice(index, 1);
+        }
+      });
+    }
+
+    // Wait for all remaining deletions (and, after a stop, the listing) to complete
+    await Promise.all(processingQueue);
+    await listing;
+
+    if (listingError) {
+      throw listingError;
+    }
+
+    return complete();
+  }
+
+  /**
+   * Delete one entity and record the outcome
+   */
+  async deleteOne(entityType, entity, rateLimiter, results) {
+    this.inFlight++;
+    try {
+      // Deleting it would orphan (or fail on) the dependent that is left
+      const blocker = this.blocked.get(entity.id);
+      if (blocker) {
+        throw new Error(`Not deleted: ${blocker}`);
+      }
+
+      let alreadyDeleted = false;
+      try {
+        await this.call(() => ENTITY_APIS[entityType].delete(this.workos, entity.id), rateLimiter);
+      } catch (error) {
+        // Already gone (e.g. deleted by an earlier attempt) - the goal is met
+        if (classifyError(error) !== 'not-found') {
+          throw error;
+        }
+        alreadyDeleted = true;
+      }
+
+      const deleted = toResult(entity, entityType);
+      if (alreadyDeleted) {
+        deleted.alreadyDeleted = true;
+      }
+      results.successful.push(deleted);
+      this.journal?.recordResult(getPhaseName(entityType), entity.id, true);
+      this.listingCache?.remove(entityType, entity.id);
+      this.emit('deleted', { entityType, entity, alreadyDeleted });
+    } catch (error) {
+      const status = getErrorStatus(error);
+      results.failed.push({
+        ...toResult(entity, entityType),
+        error: error.message,
+        status
+      });
+      this.journal?.recordResult(getPhaseName(entityType), entity.id, false, error.message);
+      this.emit('failed', { entityType, entity, error, status });
+    } finally {
+      this.inFlight--;
+    }
+  }
+}
+
+/**
+ * Create a bulk deleter (see BulkDeleter for the options and events)
+ */
+export function createBulkDeleter(options) {
+  return new BulkDeleter(options);
+}
@@ -0,0 +1,178 @@
+/**
+ * Config file with named environment profiles
+ * Each profile carries its own API key variable, limits, protected
+ * entities and default filter, so switching tenants is one --profile flag.
+ *
+ * {
+ *   "profiles": {
+ *     "staging": {
+ *       "apiKeyEnv": "WORKOS_API_KEY_STAGING",   Variable holding the API key (required)
+ *       "limits": {                              Optional, defaults as in DEFAULT_LIMITS
+ *         "organizations": { "requestsPerMinute": 50, "concurrency": 5 },
+ *         "users": { "requestsPerSecond": 40, "concurrency": 40 },
+ *         "connections": { "requestsPerSecond": 10, "concurrency": 5 }   Also invitations, directories, domains
+ *       },
+ *       "protected": { "organizationIds": [], "domains": [], "emails": [] },
+ *       "filter": "name ^= \"Test\"",            Combined (AND) with every run's filters
+ *       "timeZone": "Europe/Berlin"              Default for --tz
+ *     }
+ *   }
+ * }
+ */
+
+import fs from 'fs';
+import { parseFilterExpression, compileFilter, isValidTimeZone } from './filters.js';
+import { createProtectedList } from './protected-list.js';
+
+const PROFILE_KEYS = ['apiKeyEnv', 'limits', 'protected', 'filter', 'timeZone'];
+const LIMIT_KEYS = {
+  organizations: ['requestsPerMinute', 'concurrency'],
+  users: ['requestsPerSecond', 'concurrency'],
+  invitations: ['requestsPerSecond', 'concurrency'],
+  directories: ['requestsPerSecond', 'concurrency'],
+  connections: ['requestsPerSecond', 'concurrency'],
+  domains: ['requestsPerSecond', 'concurrency'],
+  reads: ['requestsPerSecond', 'concurrency']
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Load and validate a config file. Every problem found is reported in one
+ * error, one per line.
+ */
+export function loadConfig(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in config file ${filePath}: ${error.message}`);
+  }
+
+  const errors = [];
+  const profiles = {};
+
+  if (!isObject(parsed) || !isObject(parsed.profiles)) {
+    errors.push('expected an object with a "profiles" object');
+  } else {
+    Object.keys(parsed).filter(key => key !== 'profiles')
+      .forEach(key => errors.push(`unknown key "${key}" (expected profiles)`));
+
+    for (const [name, profile] of Object.entries(parsed.profiles)) {
+      const validated = validateProfile(name, profile, errors);
+      if (validated) {
+        profiles[name] = validated;
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid config file ${filePath}:\n${errors.map(error => `   - ${error}`).join('\n')}`);
+  }
+
+  return { path: filePath, profiles };
+}
+
+/**
+ * Check one profile, pushing problems to errors. Returns the profile with
+ * its filter parsed and its protected list built, or null if it is invalid.
+ */
+function validateProfile(name, profile, errors) {
+  const at = `profiles.${name}`;
+  const errorCount = errors.length;
+
+  if (!isObject(profile)) {
+    errors.push(`${at} must be an object`);
+    return null;
+  }
+
+  Object.keys(profile).filter(key => !PROFILE_KEYS.includes(key))
+    .forEach(key => errors.push(`${at}: unknown key "${key}" (expected ${PROFILE_KEYS.join(', ')})`));
+
+  if (typeof profile.apiKeyEnv !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(profile.apiKeyEnv)) {
+    errors.push(`${at}.apiKeyEnv must name an environment variable (e.g., WORKOS_API_KEY_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')})`);
+  }
+
+  const limits = Object.fromEntries(Object.keys(LIMIT_KEYS).map(group => [group, {}]));
+  if (profile.limits !== undefined) {
+    if (!isObject(profile.limits)) {
+      errors.push(`${at}.limits must be an object`);
+    } else {
+      for (const [group, values] of Object.entries(profile.limits)) {
+        if (!LIMIT_KEYS[group]) {
+          errors.push(`${at}.limits: unknown key "${group}" (expected ${Object.keys(LIMIT_KEYS).join(', ')})`);
+          continue;
+        }
+        if (!isObject(values)) {
+          errors.push(`${at}.limits.${group} must be an object`);
+          continue;
+        }
+        for (const [key, value] of Object.entries(values)) {
+          if (!LIMIT_KEYS[group].includes(key)) {
+            errors.push(`${at}.limits.${group}: unknown key "${key}" (expected ${LIMIT_KEYS[group].join(', ')})`);
+          } else if (typeof value !== 'number' || !(value > 0) || (key === 'concurrency' && !Number.isInteger(value))) {
+            errors.push(`${at}.limits.${group}.${key} must be a positive ${key === 'concurrency' ? 'integer' : 'number'}`);
+          } else {
+            limits[group][key] = value;
+          }
+        }
+      }
+    }
+  }
+
+  let protectedList = createProtectedList();
+  if (profile.protected !== undefined) {
+    try {
+      protectedList = createProtectedList(profile.protected, `${at}.protected`);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  let filter = null;
+  if (profile.filter !== undefined) {
+    if (typeof profile.filter !== 'string') {
+      errors.push(`${at}.filter must be a filter expression string`);
+    } else {
+      try {
+        filter = parseFilterExpression(profile.filter);
+        compileFilter(filter, 'UTC', Date.now());
+      } catch (error) {
+        errors.push(`${at}.filter: ${error.message}`);
+      }
+    }
+  }
+
+  if (profile.timeZone !== undefined && (typeof profile.timeZone !== 'string' || !isValidTimeZone(profile.timeZone))) {
+    errors.push(`${at}.timeZone must be an IANA timezone name (e.g., UTC, Europe/Berlin)`);
+  }
+
+  if (errors.length > errorCount) {
+    return null;
+  }
+
+  return {
+    name,
+    apiKeyEnv: profile.apiKeyEnv,
+    limits,
+    protected: protectedList,
+    filter,
+    timeZone: profile.timeZone || null
+  };
+}
+
+/**
+ * Look up a profile by name
+ */
+export function getProfile(config, name) {
+  const profile = config.profiles[name];
+  if (!profile) {
+    const available = Object.keys(config.profiles);
+    throw new Error(`Unknown profile "${name}" in ${config.path} (available: ${available.length > 0 ? available.join(', ') : 'none'})`);
+  }
+  return profile;
+}
@@ -0,0 +1,512 @@
+/**
+ * Fake WorkOS backend
+ * In-process stand-in for the WorkOS client that serves organizations,
+ * users, memberships, SSO connections, directories and invitations from a
+ * JSON fixture, applies creates, updates and deletes to
+ * it in memory, and injects rate limits, server errors and latency. Used by
+ * --simulate to rehearse runs without a network, and usable as a test
+ * harness for the library:
+ *
+ *   const workos = createFakeWorkOS(loadFixture('fixtures/sample-tenant.json'), { rateLimitRate: 0.05 });
+ *   const deleter = createBulkDeleter({ workos, filters: { expression: 'name ^= "Test"' } });
+ *
+ * Fixture format (every key optional):
+ * {
+ *   "organizations": [{ "id": "org_...", "name": "...", "createdAt": "...", ... }],
+ *   "users": [{ "id": "user_...", "email": "...", "createdAt": "...", ... }],
+ *   "organizationMemberships": [{ "id": "om_...", "userId": "...", "organizationId": "..." }],
+ *   "connections": [{ "id": "conn_...", "organizationId": "...", "name": "...", ... }],
+ *   "directories": [{ "id": "directory_...", "organizationId": "...", "name": "...", ... }],
+ *   "invitations": [{ "id": "invitation_...", "organizationId": "...", "email": "...", "state": "pending", ... }],
+ *   "generate": { "organizations": 500, "users": 2000, "seed": 1 },  Synthetic entities on top
+ *   "faults": { ... }                                                  Defaults for the options below
+ * }
+ *
+ * Organization domains live in each organization's "domains" array. Like the
+ * API, deleting an organization removes its memberships but not its
+ * connections, directories or invitations.
+ *
+ * Faults (rates are probabilities per API call):
+ *   rateLimitRate      Share of calls answered with 429
+ *   retryAfterSeconds  Retry-After sent with a 429 (default: 1)
+ *   serverErrorRate    Share of calls answered with a 500, 502 or 503
+ *   latencyMs          Delay per call: a number or [min, max]
+ *   reappearRate       Share of deleted organizations, users, connections and
+ *                      directories that come back right away (as if
+ *                      re-provisioned by directory sync)
+ *   seed               Seed for the random generator, for repeatable runs
+ */
+
+import fs from 'fs';
+
+export const DEFAULT_FAULTS = {
+  rateLimitRate: 0,
+  retryAfterSeconds: 1,
+  serverErrorRate: 0,
+  latencyMs: 0,
+  reappearRate: 0,
+  seed: null
+};
+
+const SERVER_ERROR_STATUSES = [500, 502, 503];
+const PAGE_LIMIT_MAX = 100;
+
+/**
+ * Small seedable PRNG (mulberry32) so fault injection can be replayed
+ */
+function createRandom(seed) {
+  if (seed === null || seed === undefined) {
+    return Math.random;
+  }
+  let state = Number(seed) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Error shaped like the SDK's exceptions (status, and retryAfter for 429s)
+ */
+function apiError(status, message, extra = {}) {
+  const names = { 404: 'NotFoundException', 422: 'UnprocessableEntityException', 429: 'RateLimitExceededException' };
+  const error = new Error(message);
+  error.name = names[status] || 'GenericServerException';
+  error.status = status;
+  return Object.assign(error, extra);
+}
+
+/**
+ * Read and validate a fixture file
+ */
+export function loadFixture(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Fixture not found: ${filePath}`);
+  }
+
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in fixture ${filePath}: ${error.message}`);
+  }
+
+  if (!fixture || typeof fixture !== 'object' || Array.isArray(fixture)) {
+    throw new Error(`Fixture ${filePath} must be a JSON object`);
+  }
+  for (const key of ['organizations', 'users', 'organizationMemberships', 'connections', 'directories', 'invitations']) {
+    if (fixture[key] !== undefined && !Array.isArray(fixture[key])) {
+      throw new Error(`"${key}" in fixture ${filePath} must be an array`);
+    }
+    (fixture[key] || []).forEach((entity, index) => {
+      if (!entity || typeof entity.id !== 'string') {
+        throw new Error(`${key}[${index}] in fixture ${filePath} has no id`);
+      }
+    });
+  }
+
+  return { ...fixture, path: filePath };
+}
+
+/**
+ * Parse a fault spec such as "429=0.05,5xx=0.01,latency=20-80,retry-after=2,seed=7"
+ */
+export function parseFaults(spec) {
+  const faults = {};
+  for (const part of spec.split(',').map(value => value.trim()).filter(Boolean)) {
+    const [key, value] = part.split('=');
+    const number = Number(value);
+    if (key === '429' || key === '5xx' || key === 'reappear') {
+      if (!(number >= 0 && number <= 1)) {
+        throw new Error(`Fault rate ${key} must be between 0 and 1, got "${value}"`);
+      }
+      faults[{ 429: 'rateLimitRate', '5xx': 'serverErrorRate', reappear: 'reappearRate' }[key]] = number;
+    } else if (key === 'latency') {
+      const range = (value || '').split('-').map(Number);
+      if (range.length > 2 || range.some(ms => !Number.isFinite(ms) || ms < 0)) {
+        throw new Error(`Fault latency must be <ms> or <min>-<max>, got "${value}"`);
+      }
+      faults.latencyMs = range.length === 1 ? range[0] : range;
+    } else if (key === 'retry-after') {
+      if (!(number >= 0)) {
+        throw new Error(`Fault retry-after must be a number of seconds, got "${value}"`);
+      }
+      faults.retryAfterSeconds = number;
+    } else if (key === 'seed') {
+      if (!Number.isInteger(number)) {
+        throw new Error(`Fault seed must be an integer, got "${value}"`);
+      }
+      faults.seed = number;
+    } else {
+      throw new Error(`Unknown fault "${key}" (expected 429, 5xx, latency, retry-after, reappear, seed)`);
+    }
+  }
+  return faults;
+}
+
+/**
+ * Synthetic organizations, users and memberships for a fixture's "generate"
+ */
+function generateEntities({ organizations = 0, users = 0, seed = 1 }) {
+  const random = createRandom(seed);
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  const createdAt = () => new Date(now - Math.floor(random() * 365 * day)).toISOString();
+
+  const orgs = Array.from({ length: organizations }, (_, i) => {
+    const created = createdAt();
+    return {
+      object: 'organization',
+      id: `org_gen${String(i + 1).padStart(6, '0')}`,
+      name: `${random() < 0.3 ? 'Test' : 'Generated'} Org ${i + 1}`,
+      domains: [],
+      externalId: random() < 0.5 ? `ext-${i + 1}` : null,
+      metadata: { env: random() < 0.2 ? 'prod' : 'test' },
+      createdAt: created,
+      updatedAt: created
+    };
+  });
+  const generatedUsers = Array.from({ length: users }, (_, i) => {
+    const created = createdAt();
+    return {
+      object: 'user',
+      id: `user_gen${String(i + 1).padStart(6, '0')}`,
+      email: `user${i + 1}@${random() < 0.5 ? 'example.com' : 'test.example.org'}`,
+      emailVerified: true,
+      firstName: 'Generated',
+      lastName: `User ${i + 1}`,
+      externalId: null,
+      metadata: {},
+      createdAt: created,
+      updatedAt: created
+    };
+  });
+  // Most users belong to one organization, some to two, some to none
+  const memberships = [];
+  if (orgs.length > 0) {
+    generatedUsers.forEach((user, i) => {
+      const count = random() < 0.1 ? 0 : (random() < 0.2 ? 2 : 1);
+      for (let j = 0; j < count; j++) {
+        const org = orgs[Math.floor(random() * orgs.length)];
+        memberships.push({ object: 'organization_membership', id: `om_gen${i + 1}x${j}`, userId: user.id, organizationId: org.id, status: 'active' });
+      }
+    });
+  }
+
+  // Some organizations have a domain, an SSO connection, a directory or invitations
+  const connections = [];
+  const directories = [];
+  const invitations = [];
+  orgs.forEach((org, i) => {
+    const n = i + 1;
+    const stamps = { createdAt: org.createdAt, updatedAt: org.createdAt };
+    if (random() < 0.4) {
+      org.domains.push({ object: 'organization_domain', id: `org_domain_gen${n}`, domain: `org${n}.example.com`, organizationId: org.id, state: 'verified', ...stamps });
+    }
+    if (random() < 0.3) {
+      connections.push({ object: 'connection', id: `conn_gen${n}`, organizationId: org.id, name: `Org ${n} SAML`, type: 'GenericSAML', connectionType: 'GenericSAML', state: 'active', domains: [], ...stamps });
+    }
+    if (random() < 0.2) {
+      directories.push({ object: 'directory', id: `directory_gen${n}`, organizationId: org.id, name: `Org ${n} SCIM`, domain: `org${n}.example.com`, type: 'generic scim v2.0', state: 'active', ...stamps });
+    }
+    const invitationCount = Math.floor(random() * 3);
+    for (let j = 0; j < invitationCount; j++) {
+      invitations.push({ object: 'invitation', id: `invitation_gen${n}x${j}`, organizationId: org.id, email: `invitee${j + 1}@org${n}.example.com`, state: random() < 0.7 ? 'pending' : 'accepted', ...stamps });
+    }
+  });
+
+  return { organizations: orgs, users: generatedUsers, memberships, connections, directories, invitations };
+}
+
+/**
+ * Fake WorkOS client over a fixture. stats counts calls and injected faults;
+ * state() returns what is left.
+ */
+export class FakeWorkOS {
+  constructor(fixture = {}, faults = {}) {
+    this.faults = { ...DEFAULT_FAULTS, ...fixture.faults, ...faults };
+    this.random = createRandom(this.faults.seed);
+    this.stats = { calls: 0, rateLimited: 0, serverErrors: 0, created: 0, updated: 0, deleted: 0, reappeared: 0 };
+    this.idempotencyKeys = new Map();
+    this.nextId = 1;
+
+    const generated = generateEntities(fixture.generate || {});
+    this.collections = {
+      organizations: new Map([...(fixture.organizations || []), ...generated.organizations].map(entity => [entity.id, { ...entity }])),
+      users: new Map([...(fixture.users || []), ...generated.users].map(entity => [entity.id, { ...entity }])),
+      memberships: new Map([...(fixture.organizationMemberships || []), ...generated.memberships].map(entity => [entity.id, { ...entity }])),
+      connections: new Map([...(fixture.connections || []), ...generated.connections].map(entity => [entity.id, { ...entity }])),
+      directories: new Map([...(fixture.directories || []), ...generated.directories].map(entity => [entity.id, { ...entity }])),
+      invitations: new Map([...(fixture.invitations || []), ...generated.invitations].map(entity => [entity.id, { ...entity }]))
+    };
+    // Sort keys of every entity ever served, so cursors survive deletes
+    this.cursors = new Map();
+
+    this.organizations = {
+      listOrganizations: (params = {}) => this.call(() => this.list('organizations', params)),
+      getOrganization: (id) => this.call(() => this.get('organizations', id)),
+      deleteOrganization: (id) => this.call(() => {
+        this.remove('organizations', id);
+        this.removeMemberships(membership => membership.organizationId === id);
+      }),
+      createOrganization: (payload, requestOptions = {}) => this.call(() => {
+        const key = requestOptions.idempotencyKey;
+        if (key && this.idempotencyKeys.has(key)) {
+          return this.idempotencyKeys.get(key);
+        }
+        const organization = this.create('organizations', 'org', {
+          object: 'organization',
+          name: payload.name,
+          domains: (payload.domainData || []).map(domain => ({
+            object: 'organization_domain',
+            id: `org_domain_sim${String(this.nextId++).padStart(6, '0')}`,
+            domain: domain.domain,
+            state: domain.state
+          })),
+          externalId: payload.externalId ?? null,
+          metadata: payload.metadata || {}
+        });
+        if (key) {
+          this.idempotencyKeys.set(key, organization);
+        }
+        return organization;
+      }),
+      updateOrganization: ({ organization, ...payload }) => this.call(() => this.update('organizations', organization, payload))
+    };
+
+    this.userManagement = {
+      listUsers: (params = {}) => this.call(() => this.list('users', params,
+        user => (!params.email || user.email === params.email) &&
+          (!params.organizationId || this.hasMembership(user.id, params.organizationId)))),
+      getUser: (id) => this.call(() => this.get('users', id)),
+      updateUser: ({ userId, ...payload }) => this.call(() => this.update('users', userId, payload)),
+      deleteUser: (id) => this.call(() => {
+        this.remove('users', id);
+        this.removeMemberships(membership => membership.userId === id);
+      }),
+      createUser: (payload) => this.call(() => {
+        const email = payload.email.toLowerCase();
+        if ([...this.collections.users.values()].some(user => user.email.toLowerCase() === email)) {
+          throw apiError(422, `User with email ${payload.email} already exists`);
+        }
+        return this.create('users', 'user', {
+          object: 'user',
+          email: payload.email,
+          emailVerified: Boolean(payload.emailVerified),
+          firstName: payload.firstName ?? null,
+          lastName: payload.lastName ?? null,
+          externalId: payload.externalId ?? null,
+          metadata: payload.metadata || {}
+        });
+      }),
+      listOrganizationMemberships: (params = {}) => this.call(() => this.list('memberships', params,
+        membership => (!params.organizationId || membership.organizationId === params.organizationId) &&
+          (!params.userId || membership.userId === params.userId))),
+      createOrganizationMembership: ({ organizationId, userId }) => this.call(() => {
+        this.get('organizations', organizationId);
+        this.get('users', userId);
+        return this.create('memberships', 'om', { object: 'organization_membership', organizationId, userId, status: 'active' });
+      }),
+      listInvitations: (params = {}) => this.call(() => this.list('invitations', params,
+        invitation => (!params.organizationId || invitation.organizationId === params.organizationId) &&
+          (!params.email || invitation.email === params.email))),
+      getInvitation: (id) => this.call(() => this.get('invitations', id)),
+      revokeInvitation: (id) => this.call(() => {
+        const invitation = this.collections.invitations.get(id);
+        if (!invitation) {
+          throw apiError(404, `Could not find invitation ${id}`);
+        }
+        if (invitation.state !== 'pending') {
+          throw apiError(422, `Invitation ${id} is ${invitation.state} and cannot be revoked`);
+        }
+        Object.assign(invitation, { state: 'revoked', revokedAt: new Date().toISOString() });
+        this.stats.deleted++;
+        return { ...invitation };
+      })
+    };
+
+    this.sso = {
+      listConnections: (params = {}) => this.call(() => this.list('connections', params,
+        connection => !params.organizationId || connection.organizationId === params.organizationId)),
+      getConnection: (id) => this.call(() => this.get('connections', id)),
+      deleteConnection: (id) => this.call(() => this.remove('connections', id))
+    };
+
+    this.directorySync = {
+      listDirectories: (params = {}) => this.call(() => this.list('directories', params,
+        directory => !params.organizationId || directory.organizationId === params.organizationId)),
+      getDirectory: (id) => this.call(() => this.get('directories', id)),
+      deleteDirectory: (id) => this.call(() => this.remove('directories', id))
+    };
+
+    this.organizationDomains = {
+      get: (id) => this.call(() => {
+        const found = this.findDomain(id);
+        if (!found) {
+          throw apiError(404, `Could not find organization domain ${id}`);
+        }
+        return { ...found.domain, organizationId: found.organization.id };
+      }),
+      delete: (id) => this.call(() => {
+        const found = this.findDomain(id);
+        if (!found) {
+          throw apiError(404, `Could not find organization domain ${id}`);
+        }
+        found.organization.domains = found.organization.domains.filter(domain => domain.id !== id);
+        this.stats.deleted++;
+      })
+    };
+  }
+
+  /**
+   * Run one API call with latency and injected faults
+   */
+  async call(operation) {
+    this.stats.calls++;
+    const { latencyMs, rateLimitRate, serverErrorRate, retryAfterSeconds } = this.faults;
+    const delay = Array.isArray(latencyMs)
+      ? latencyMs[0] + this.random() * ((latencyMs[1] ?? latencyMs[0]) - latencyMs[0])
+      : latencyMs;
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (rateLimitRate > 0 && this.random() < rateLimitRate) {
+      this.stats.rateLimited++;
+      throw apiError(429, 'Rate limit exceeded', { retryAfter: retryAfterSeconds });
+    }
+    if (serverErrorRate > 0 && this.random() < serverErrorRate) {
+      this.stats.serverErrors++;
+      const status = SERVER_ERROR_STATUSES[Math.floor(this.random() * SERVER_ERROR_STATUSES.length)];
+      throw apiError(status, `Simulated server error (${status})`);
+    }
+
+    return operation();
+  }
+
+  /**
+   * One page of a collection, newest first unless order is 'asc'.
+   * The after cursor is the ID of the last entity on the previous page.
+   */
+  list(collection, params, predicate = () => true) {
+    const limit = Math.min(params.limit || 10, PAGE_LIMIT_MAX);
+    const direction = params.order === 'asc' ? 1 : -1;
+    const sortKey = (entity) => [entity.createdAt || '', entity.id];
+    const compare = (a, b) => direction * (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+
+    let entities = [...this.collections[collection].values()].filter(predicate);
+    entities.forEach(entity => this.cursors.set(entity.id, sortKey(entity)));
+    entities.sort((a, b) => compare(sortKey(a), sortKey(b)));
+
+    if (params.after) {
+      const cursor = this.cursors.get(params.after);
+      if (!cursor) {
+        throw apiError(422, `Invalid after cursor ${params.after}`);
+      }
+      entities = entities.filter(entity => compare(sortKey(entity), cursor) > 0);
+    }
+
+    const data = entities.slice(0, limit).map(entity => ({ ...entity }));
+    const more = entities.length > limit;
+    return { object: 'list', data, listMetadata: { before: null, after: more ? data[data.length - 1].id : null } };
+  }
+
+  get(collection, id) {
+    const entity = this.collections[collection].get(id);
+    if (!entity) {
+      throw apiError(404, `Could not find ${id}`);
+    }
+    return { ...entity };
+  }
+
+  remove(collection, id) {
+    const entity = this.collections[collection].get(id);
+    if (!this.collections[collection].delete(id)) {
+      throw apiError(404, `Could not find ${id}`);
+    }
+    this.stats.deleted++;
+
+    if (this.faults.reappearRate > 0 && this.random() < this.faults.reappearRate) {
+      this.collections[collection].set(id, { ...entity, updatedAt: new Date().toISOString() });
+      this.stats.reappeared++;
+    }
+  }
+
+  /**
+   * Apply an update: metadata keys are merged and a null value removes a key
+   */
+  update(collection, id, { metadata, ...fields }) {
+    const entity = this.collections[collection].get(id);
+    if (!entity) {
+      throw apiError(404, `Could not find ${id}`);
+    }
+    Object.assign(entity, fields, { updatedAt: new Date().toISOString() });
+    if (metadata) {
+      entity.metadata = { ...entity.metadata };
+      for (const [key, value] of Object.entries(metadata)) {
+        if (value === null) {
+          delete entity.metadata[key];
+        } else {
+          entity.metadata[key] = value;
+        }
+      }
+    }
+    this.stats.updated++;
+    return { ...entity };
+  }
+
+  create(collection, prefix, fields) {
+    const now = new Date().toISOString();
+    const entity = { id: `${prefix}_sim${String(this.nextId++).padStart(6, '0')}`, ...fields, createdAt: now, updatedAt: now };
+    this.collections[collection].set(entity.id, entity);
+    this.stats.created++;
+    return { ...entity };
+  }
+
+  findDomain(id) {
+    for (const organization of this.collections.organizations.values()) {
+      const domain = (organization.domains || []).find(entry => entry.id === id);
+      if (domain) {
+        return { organization, domain };
+      }
+    }
+    return null;
+  }
+
+  hasMembership(userId, organizationId) {
+    return [...this.collections.memberships.values()]
+      .some(membership => membership.userId === userId && membership.organizationId === organizationId);
+  }
+
+  removeMemberships(predicate) {
+    for (const [id, membership] of this.collections.memberships) {
+      if (predicate(membership)) {
+        this.collections.memberships.delete(id);
+      }
+    }
+  }
+
+  /**
+   * What is left of the fixture, in fixture format
+   */
+  state() {
+    return {
+      organizations: [...this.collections.organizations.values()],
+      users: [...this.collections.users.values()],
+      organizationMemberships: [...this.collections.memberships.values()],
+      connections: [...this.collections.connections.values()],
+      directories: [...this.collections.directories.values()],
+      invitations: [...this.collections.invitations.values()]
+    };
+  }
+}
+
+/**
+ * Create a fake WorkOS client (see FakeWorkOS)
+ */
+export function createFakeWorkOS(fixture, faults) {
+  return new FakeWorkOS(fixture, faults);
+}
@@ -0,0 +1,432 @@
+/**
+ * Filter Language
+ *
+ * Targets are selected with a boolean expression over entity fields:
+ *
+ *   expr      := or
+ *   or        := and ( OR and )*
+ *   and       := not ( AND not )*
+ *   not       := NOT not | '(' expr ')' | predicate
+ *   predicate := <field> <op> <value>
+ *
+ * Fields (organizations and users):
+ *   created, updated          createdAt / updatedAt; value is YYYY-MM-DD
+ *                             (calendar day in --tz) or a full ISO timestamp
+ *   age, updated-age          Time since createdAt / updatedAt, e.g. 30d, 12h
+ *   id, name, email           name is the org name or the user's full name
+ *   email-domain              User email domain, or any of an org's domains
+ *   external-id               externalId
+ *   metadata.<key>            Value of a metadata key
+ *   marked, marked-age        Time of the quarantine mark (metadata.pending_deletion_at)
+ *                             as a date, and the time since it; unmarked
+ *                             entities never match
+ *
+ * Operators:
+ *   = != < <= > >=            Comparison (dates and ages use < <= > >=)
+ *   ~                         Regex match (source, or /source/flags)
+ *   ^=                        Prefix match
+ *
+ * Values containing spaces, parentheses or quotes must be quoted.
+ * A predicate on a field the entity does not have never matches.
+ */
+export const FILTER_FIELDS = {
+  created: 'date',
+  updated: 'date',
+  age: 'duration',
+  'updated-age': 'duration',
+  id: 'string',
+  name: 'string',
+  email: 'string',
+  'email-domain': 'string',
+  'external-id': 'string',
+  marked: 'date',
+  'marked-age': 'duration'
+};
+// Metadata key the mark command sets and the sweep command checks
+export const MARK_METADATA_KEY = 'pending_deletion_at';
+const FILTER_OPERATORS_BY_KIND = {
+  date: ['=', '!=', '<', '<=', '>', '>='],
+  duration: ['<', '<=', '>', '>='],
+  string: ['=', '!=', '~', '^=']
+};
+const FILTER_OPERATORS = ['<=', '>=', '!=', '^=', '=', '<', '>', '~'];
+const MAX_UTC_OFFSET_MS = 14 * 60 * 60 * 1000; // UTC+14 is the furthest timezone
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Build a predicate node
+ */
+export function filterPredicate(field, op, value) {
+  return { type: 'predicate', field, op, value };
+}
+
+/**
+ * Combine nodes with AND (or OR), dropping empty parts
+ */
+export function combineFilters(type, nodes) {
+  const parts = nodes.filter(Boolean);
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+  return { type, children: parts };
+}
+
+/**
+ * Parse a filter expression into a syntax tree
+ */
+export function parseFilterExpression(text) {
+  let pos = 0;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const fail = (message) => {
+    throw new Error(`${message} at position ${pos + 1} in filter: ${text}`);
+  };
+
+  const peekKeyword = (keyword) => {
+    skipWhitespace();
+    const word = text.slice(pos, pos + keyword.length);
+    const next = text[pos + keyword.length];
+    return word.toUpperCase() === keyword && (next === undefined || /[\s(]/.test(next));
+  };
+
+  const readValue = () => {
+    skipWhitespace();
+    const quote = text[pos];
+    if (quote === '"' || quote === "'") {
+      pos++;
+      let value = '';
+      while (pos < text.length && text[pos] !== quote) {
+        // Double-quoted strings support \" and \\ escapes
+        if (quote === '"' && text[pos] === '\\' && (text[pos + 1] === '"' || text[pos + 1] === '\\')) {
+          pos++;
+        }
+        value += text[pos++];
+      }
+      if (pos >= text.length) fail('Unterminated string');
+      pos++;
+      return value;
+    }
+
+    const start = pos;
+    while (pos < text.length && !/[\s)]/.test(text[pos])) pos++;
+    if (pos === start) fail('Expected a value');
+    return text.slice(start, pos);
+  };
+
+  const parsePredicate = () => {
+    skipWhitespace();
+    const match = /^[a-zA-Z][a-zA-Z0-9_.-]*/.exec(text.slice(pos));
+    if (!match) fail('Expected a field name');
+    // Field names can contain '-', so stop before an operator glued to the name
+    const field = match[0].replace(/[-.]+$/, '');
+    pos += field.length;
+
+    skipWhitespace();
+    const op = FILTER_OPERATORS.find(candidate => text.startsWith(candidate, pos));
+    if (!op) fail(`Expected an operator after "${field}"`);
+    pos += op.length;
+
+    return filterPredicate(field, op, readValue());
+  };
+
+  const parseNot = () => {
+    if (peekKeyword('NOT')) {
+      pos += 3;
+      return { type: 'not', child: parseNot() };
+    }
+    skipWhitespace();
+    if (text[pos] === '(') {
+      pos++;
+      const node = parseOr();
+      skipWhitespace();
+      if (text[pos] !== ')') fail('Expected ")"');
+      pos++;
+      return node;
+    }
+    return parsePredicate();
+  };
+
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (peekKeyword('AND')) {
+      pos += 3;
+      children.push(parseNot());
+    }
+    return combineFilters('and', children);
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peekKeyword('OR')) {
+      pos += 2;
+      children.push(parseAnd());
+    }
+    return combineFilters('or', children);
+  };
+
+  const tree = parseOr();
+  skipWhitespace();
+  if (pos < text.length) fail('Unexpected input');
+  return tree;
+}
+
+/**
+ * Render a syntax tree back to an expression that parses to the same tree
+ */
+export function filterToString(node) {
+  const wrap = (child) => (child.type === 'and' || child.type === 'or' ? `(${filterToString(child)})` : filterToString(child));
+
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return node.children
+        .map(child => (child.type === 'or' && node.type === 'and' ? wrap(child) : filterToString(child)))
+        .join(node.type === 'and' ? ' AND ' : ' OR ');
+    case 'not':
+      return `NOT ${wrap(node.child)}`;
+    default: {
+      const needsQuotes = node.value === '' || /[\s()"']/.test(node.value);
+      const value = needsQuotes ? `"${node.value.replace(/[\\"]/g, '\\$&')}"` : node.value;
+      return `${node.field} ${node.op} ${value}`;
+    }
+  }
+}
+
+/**
+ * Fields a filter reads, each once, in order of appearance
+ */
+export function filterFields(node) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return [...new Set(node.children.flatMap(filterFields))];
+    case 'not':
+      return filterFields(node.child);
+    default:
+      return [node.field];
+  }
+}
+
+/**
+ * Parse a duration such as 30d, 12h or 2w into milliseconds
+ */
+export function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)([smhdw])$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}" (expected e.g. 30d, 12h, 2w)`);
+  }
+  return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Validate a timezone name such as UTC or Europe/Berlin
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Format an instant as a YYYY-MM-DD calendar day in the given timezone
+ */
+export function calendarDay(timestamp, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(new Date(timestamp));
+}
+
+/**
+ * Read the value of a filter field from an entity
+ */
+function getFilterFieldValue(entity, entityType, field) {
+  switch (field) {
+    case 'created':
+    case 'age':
+      return entity.createdAt;
+    case 'updated':
+    case 'updated-age':
+      return entity.updatedAt;
+    case 'id':
+      return entity.id;
+    case 'name':
+      if (entityType === 'organization') return entity.name;
+      return [entity.firstName, entity.lastName].filter(Boolean).join(' ') || undefined;
+    case 'email':
+      return entity.email;
+    case 'email-domain':
+      if (entity.email) return [entity.email.split('@').pop()];
+      return (entity.domains || []).map(domain => domain.domain);
+    case 'external-id':
+      return entity.externalId;
+    case 'marked':
+    case 'marked-age':
+      return entity.metadata?.[MARK_METADATA_KEY];
+    default:
+      return entity.metadata?.[field.slice('metadata.'.length)];
+  }
+}
+
+/**
+ * Compare two values with a comparison operator
+ */
+function compareValues(left, op, right) {
+  switch (op) {
+    case '=': return left === right;
+    case '!=': return left !== right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: return false;
+  }
+}
+
+/**
+ * Compile a predicate node into a function (entity, entityType) => boolean
+ */
+function compilePredicate(node, timeZone, now) {
+  const { field, op, value } = node;
+  const kind = FILTER_FIELDS[field] || (/^metadata\.[^.]/.test(field) ? 'string' : null);
+  if (!kind) {
+    throw new Error(`Unknown filter field "${field}"`);
+  }
+  if (!FILTER_OPERATORS_BY_KIND[kind].includes(op)) {
+    throw new Error(`Operator "${op}" is not supported for "${field}"`);
+  }
+
+  const read = (entity, entityType) => getFilterFieldValue(entity, entityType, field);
+
+  if (kind === 'date') {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      if (isNaN(new Date(value).getTime())) {
+        throw new Error(`Invalid date "${value}"`);
+      }
+      // Calendar-day comparison in the configured timezone
+      return (entity, entityType) => {
+        const timestamp = read(entity, entityType);
+        // A mark is user-editable metadata and may not be a valid date
+        return Boolean(timestamp) && !isNaN(Date.parse(timestamp)) && compareValues(calendarDay(timestamp, timeZone), op, value);
+      };
+    }
+
+    const instant = Date.parse(value);
+    if (!value.includes('T') || isNaN(instant)) {
+      throw new Error(`Invalid date "${value}" (expected YYYY-MM-DD or an ISO timestamp)`);
+    }
+    return (entity, entityType) => {
+      const timestamp = read(entity, entityType);
+      return Boolean(timestamp) && compareValues(Date.parse(timestamp), op, instant);
+    };
+  }
+
+  if (kind === 'duration') {
+    const duration = parseDuration(value);
+    // Ages are measured against the time the filter was compiled so a long
+    // run does not gradually widen its own target set
+    return (entity, entityType) => {
+      const timestamp = read(entity, entityType);
+      return Boolean(timestamp) && compareValues(now - Date.parse(timestamp), op, duration);
+    };
+  }
+
+  // Emails and domains are case-insensitive
+  const caseInsensitive = field === 'email' || field === 'email-domain';
+  const normalize = (text) => (caseInsensitive ? text.toLowerCase() : text);
+
+  let test;
+  if (op === '~') {
+    const literal = /^\/(.*)\/([a-z]*)$/s.exec(value);
+    // g and y make test() resume from the previous match (lastIndex), so the
+    // same regex would skip every other matching entity
+    if (literal && /[gy]/.test(literal[2])) {
+      throw new Error(`Invalid regex "${value}": flags g and y are not supported in filters`);
+    }
+    const flags = literal ? literal[2] : '';
+    let regex;
+    try {
+      regex = new RegExp(literal ? literal[1] : value, caseInsensitive && !flags.includes('i') ? `${flags}i` : flags);
+    } catch (error) {
+      throw new Error(`Invalid regex "${value}": ${error.message}`);
+    }
+    test = (text) => regex.test(text);
+  } else if (op === '^=') {
+    test = (text) => normalize(text).startsWith(normalize(value));
+  } else {
+    test = (text) => compareValues(normalize(text), op, normalize(value));
+  }
+
+  return (entity, entityType) => {
+    const fieldValue = read(entity, entityType);
+    if (fieldValue === undefined || fieldValue === null) {
+      return false;
+    }
+    const candidates = Array.isArray(fieldValue) ? fieldValue : [fieldValue];
+    // For multi-valued fields, != means none of the values are equal
+    return op === '!='
+      ? candidates.length > 0 && candidates.every(text => test(String(text)))
+      : candidates.some(text => test(String(text)));
+  };
+}
+
+/**
+ * Compile a syntax tree into a function (entity, entityType) => boolean
+ */
+export function compileFilter(node, timeZone, now = Date.now()) {
+  switch (node.type) {
+    case 'and': {
+      const children = node.children.map(child => compileFilter(child, timeZone, now));
+      return (entity, entityType) => children.every(child => child(entity, entityType));
+    }
+    case 'or': {
+      const children = node.children.map(child => compileFilter(child, timeZone, now));
+      return (entity, entityType) => children.some(child => child(entity, entityType));
+    }
+    case 'not': {
+      const child = compileFilter(node.child, timeZone, now);
+      return (entity, entityType) => !child(entity, entityType);
+    }
+    default:
+      return compilePredicate(node, timeZone, now);
+  }
+}
+
+/**
+ * Earliest createdAt (ms) an entity can have and still match the filter,
+ * or null when the filter does not bound createdAt from below.
+ * Calendar days are widened by the largest UTC offset so the bound holds
+ * in every timezone.
+ */
+export function getCreatedCutoff(node, now) {
+  switch (node.type) {
+    case 'and': {
+      const bounds = node.children.map(child => getCreatedCutoff(child, now)).filter(bound => bound !== null);
+      return bounds.length > 0 ? Math.max(...bounds) : null;
+    }
+    case 'or': {
+      const bounds = node.children.map(child => getCreatedCutoff(child, now));
+      return bounds.includes(null) ? null : Math.min(...bounds);
+    }
+    case 'not':
+      return null;
+    default:
+      if (node.field === 'created' && ['=', '>', '>='].includes(node.op)) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(node.value)
+          ? Date.parse(`${node.value}T00:00:00Z`) - MAX_UTC_OFFSET_MS
+          : Date.parse(node.value);
+      }
+      if (node.field === 'age' && ['<', '<='].includes(node.op)) {
+        return now - parseDuration(node.value);
+      }
+      return null;
+  }
+}
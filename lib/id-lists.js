@@ -0,0 +1,204 @@
+/**
+ * ID list files: explicit deletion targets (--ids-file) and the failures
+ * recorded in a previous run's report (retry-failed)
+ */
+
+import fs from 'fs';
+
+/**
+ * Load organization and user IDs from a CSV, newline-delimited or JSON file.
+ *
+ * JSON may be an array of IDs (or objects with an `id`), or an object with
+ * `organizations` and/or `users` arrays. In CSV and plain text files every
+ * cell that looks like an org_ or user_ ID is used; header rows are ignored.
+ */
+export function loadIdsFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`IDs file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8').trim();
+  const idPattern = /^(org|user)_[A-Za-z0-9]+$/;
+  const values = [];
+  const invalid = [];
+
+  if (filePath.endsWith('.json') || content.startsWith('[') || content.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+
+    const entries = Array.isArray(parsed)
+      ? parsed
+      : [...(parsed.organizations || []), ...(parsed.users || []), ...(parsed.ids || [])];
+    for (const entry of entries) {
+      const id = typeof entry === 'string' ? entry.trim() : entry?.id;
+      if (typeof id === 'string' && idPattern.test(id)) {
+        values.push(id);
+      } else {
+        invalid.push(JSON.stringify(entry));
+      }
+    }
+  } else {
+    content.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+      const ids = line.split(',')
+        .map(cell => cell.trim().replace(/^["']|["']$/g, ''))
+        .filter(cell => idPattern.test(cell));
+      // The first line without IDs is treated as a CSV header
+      if (ids.length === 0 && index > 0) {
+        invalid.push(line.trim());
+      }
+      values.push(...ids);
+    });
+  }
+
+  const unique = [...new Set(values)];
+  return {
+    path: filePath,
+    organizations: unique.filter(id => id.startsWith('org_')),
+    users: unique.filter(id => id.startsWith('user_')),
+    invalid
+  };
+}
+
+/**
+ * Write organization and user IDs as JSON that loadIdsFile (and so
+ * --ids-file) reads back
+ */
+export function writeIdsFile(filePath, { organizations = [], users = [] }) {
+  fs.writeFileSync(filePath, JSON.stringify({ organizations, users }, null, 2) + '\n');
+}
+
+/**
+ * Load the failures of a previous run from its --report file (JSON or CSV)
+ * in the shape returned by loadIdsFile. Failures with a status in
+ * permanentStatuses are not retried and are listed in retry.permanent.
+ * Failed dependents are retried through their organization; those whose
+ * organization the report does not record are listed in retry.notRetryable.
+ * retry.dependents are the dependent types the reported run deleted.
+ */
+export function loadFailuresReport(filePath, permanentStatuses) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Report not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const failures = [];
+  let parameters = null;
+
+  if (filePath.toLowerCase().endsWith('.csv')) {
+    // Skip the "# key: value" preamble (but for the run parameters), then read the rows by header name
+    const parametersLine = content.split('\n').find(line => line.startsWith('# parameters: '));
+    try {
+      parameters = parametersLine ? JSON.parse(parametersLine.slice('# parameters: '.length)) : null;
+    } catch {
+      parameters = null;
+    }
+    const rows = parseCsv(content.split('\n').filter(line => !line.startsWith('#')).join('\n'));
+    const header = rows.shift() || [];
+    const column = (name) => header.indexOf(name);
+    if (column('phase') === -1 || column('id') === -1 || column('result') === -1) {
+      throw new Error(`${filePath} is not a report written by --report (missing phase, id or result column)`);
+    }
+    for (const row of rows) {
+      if (row[column('result')] !== 'failed') continue;
+      const status = row[column('httpStatus')];
+      failures.push({
+        phase: row[column('phase')],
+        id: row[column('id')],
+        name: row[column('name')] || '',
+        status: status ? Number(status) : null,
+        error: row[column('error')] || ''
+      });
+    }
+  } else {
+    let report;
+    try {
+      report = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+    if (!report?.phases) {
+      throw new Error(`${filePath} is not a report written by --report (no phases)`);
+    }
+    for (const [phase, results] of Object.entries(report.phases)) {
+      (results?.failures || []).forEach(entity => failures.push({ phase, ...entity }));
+    }
+    parameters = report.parameters || null;
+  }
+
+  const retryable = failures.filter(failure => !permanentStatuses.includes(failure.status));
+  const retryIds = (phase) => retryable.filter(failure => failure.phase === phase).map(failure => failure.id);
+
+  // A connection, directory, domain or invitation is retried by retrying the
+  // organization it belongs to (JSON reports record it; CSV reports do not)
+  const dependents = retryable.filter(failure => failure.phase !== 'organizations' && failure.phase !== 'users');
+  const retriedDependents = dependents.filter(failure => failure.organizationId);
+  const describe = ({ phase, id, name, status, error }) => ({ phase, id, name, status, error });
+
+  return {
+    path: filePath,
+    organizations: [...new Set([
+      ...retryIds('organizations'),
+      ...retriedDependents.map(failure => failure.organizationId)
+    ])],
+    users: [...new Set(retryIds('users'))],
+    invalid: [],
+    retry: {
+      report: filePath,
+      permanentStatuses,
+      failures: failures.length,
+      permanent: failures.filter(failure => permanentStatuses.includes(failure.status)).map(describe),
+      notRetryable: dependents.filter(failure => !failure.organizationId).map(describe),
+      // Dependent types the reported run deleted (null if it does not say)
+      // and those with failures retried through their organization
+      dependents: Array.isArray(parameters?.dependents) ? parameters.dependents : null,
+      dependentPhases: [...new Set(retriedDependents.map(failure => failure.phase))]
+    }
+  };
+}
+
+/**
+ * Parse CSV text into rows of cells (quoted cells may contain commas,
+ * quotes and newlines)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+}
@@ -0,0 +1,24 @@
+/**
+ * Public API of the WorkOS bulk deletion tool.
+ * See bulk-deleter.js for createBulkDeleter's options and events.
+ */
+
+export { createBulkDeleter, BulkDeleter, DEFAULT_LIMITS, DEPENDENT_TYPES, getEntityName, getPhaseName, collectTargets } from './bulk-deleter.js';
+export { TokenBucketRateLimiter, executeWithRateLimit, classifyError, getErrorStatus } from './rate-limiter.js';
+export { parseFilterExpression, filterToString, filterFields, filterPredicate, combineFilters, compileFilter, isValidTimeZone, MARK_METADATA_KEY } from './filters.js';
+export { RunJournal } from './journal.js';
+export { loadIdsFile, loadFailuresReport, writeIdsFile } from './id-lists.js';
+export { loadProtectedList, createProtectedList, mergeProtectedLists } from './protected-list.js';
+export { loadConfig, getProfile } from './config.js';
+export { createSeeder, Seeder, writeSeedManifest } from './seeder.js';
+export { createFakeWorkOS, FakeWorkOS, loadFixture, parseFaults } from './fake-workos.js';
+export { readSnapshot, toCreateOrganizationOptions } from './snapshot.js';
+export { describeApiKey, writeReport } from './report.js';
+export { summarizeEntities, estimateDeletionSeconds, GROUP_BY } from './inspect.js';
+export { createRunMetrics, RunMetrics, startMetricsServer } from './metrics.js';
+export { attachNdjsonOutput } from './ndjson.js';
+export { createSchedule, parseCron, nextCronTime } from './schedule.js';
+export { acquireLock, releaseLock } from './lock.js';
+export { createMarker, Marker } from './quarantine.js';
+export { createReview, Review, describeEntry, parseNumberList } from './review.js';
+export { loadListingCache, ListingCache, getListingCachePath } from './listing-cache.js';
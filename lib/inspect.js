@@ -0,0 +1,95 @@
+/**
+ * Inspection
+ * Summaries of the entities a filter selects, for the inspect command:
+ * counts per creation day, week or month, the most common email domains
+ * and name prefixes, and how long deleting them would take.
+ */
+
+import { calendarDay } from './filters.js';
+import { getEntityName } from './bulk-deleter.js';
+
+export const GROUP_BY = ['day', 'week', 'month'];
+
+/**
+ * Histogram bucket of a createdAt timestamp: YYYY-MM-DD for day, the
+ * Monday starting the ISO week for week, YYYY-MM for month
+ */
+export function bucketKey(createdAt, groupBy, timeZone) {
+  const day = calendarDay(createdAt, timeZone);
+  if (groupBy === 'month') {
+    return day.slice(0, 7);
+  }
+  if (groupBy === 'week') {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+    return date.toISOString().slice(0, 10);
+  }
+  return day;
+}
+
+/**
+ * Leading word of a name ("Test Org 12" -> "Test", "qa-tenant-3" -> "qa")
+ */
+export function namePrefix(name) {
+  const match = /^[^\s\d\-_.@]+/.exec(name || '');
+  return match ? match[0] : '(none)';
+}
+
+/**
+ * Count values and return the most common as [{ value, count }]
+ */
+function topCounts(values, top) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, top);
+}
+
+/**
+ * Summarize entities of one type.
+ * Returns { total, groupBy, buckets: [{ key, count }] (oldest first),
+ * oldest, newest, domains, prefixes } where domains and prefixes are the
+ * top entries as [{ value, count }]. Organizations count each of their
+ * domains, users their email domain.
+ */
+export function summarizeEntities(entities, entityType, { groupBy = 'day', timeZone = 'UTC', top = 10 } = {}) {
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new Error(`Unknown grouping "${groupBy}" (expected ${GROUP_BY.join(', ')})`);
+  }
+
+  const buckets = new Map();
+  let oldest = null;
+  let newest = null;
+  for (const entity of entities) {
+    if (!entity.createdAt) continue;
+    const key = bucketKey(entity.createdAt, groupBy, timeZone);
+    buckets.set(key, (buckets.get(key) || 0) + 1);
+    if (!oldest || entity.createdAt < oldest) oldest = entity.createdAt;
+    if (!newest || entity.createdAt > newest) newest = entity.createdAt;
+  }
+
+  const domains = entityType === 'organization'
+    ? entities.flatMap(org => (org.domains || []).map(domain => domain.domain.toLowerCase()))
+    : entities.filter(user => user.email).map(user => user.email.split('@').pop().toLowerCase());
+
+  return {
+    total: entities.length,
+    groupBy,
+    buckets: [...buckets.entries()].map(([key, count]) => ({ key, count })).sort((a, b) => a.key.localeCompare(b.key)),
+    oldest,
+    newest,
+    domains: topCounts(domains, top),
+    prefixes: topCounts(entities.map(entity => namePrefix(getEntityName(entity, entityType))), top)
+  };
+}
+
+/**
+ * Seconds needed to delete count entities at a rate, ignoring retries
+ */
+export function estimateDeletionSeconds(count, requestsPerSecond) {
+  return requestsPerSecond > 0 ? Math.ceil(count / requestsPerSecond) : null;
+}
@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Checkpoint Journal
+ * Append-only JSONL file recording the target set of each phase and the
+ * outcome of every deletion, so an interrupted run can be resumed.
+ *
+ * Line types:
+ *   { type: 'run', ... }                      Run parameters (first line)
+ *   { type: 'phase', phase }                  Phase started
+ *   { type: 'targets', phase, targets }       Targets matched (one line per page)
+ *   { type: 'listing-complete', phase }       All targets of the phase are recorded
+ *   { type: 'cascade-plan', candidates, skipped }  Members planned by --cascade-members
+ *   { type: 'excluded', phase, ids }          Targets the operator left out (--interactive);
+ *                                             a resume does not bring them back
+ *   { type: 'result', phase, id, status }     Deletion succeeded or failed
+ *   { type: 'phase-complete', phase }         Phase finished
+ */
+export class RunJournal {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Create a new journal file and record the run parameters
+   */
+  static create(filePath, runInfo) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const journal = new RunJournal(filePath);
+    journal.append({ type: 'run', startedAt: new Date().toISOString(), ...runInfo });
+    return journal;
+  }
+
+  /**
+   * Read an existing journal and rebuild the state of each phase
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Journal not found: ${filePath}`);
+    }
+
+    const state = { run: null, phases: {}, lastPhase: null, cascadePlan: null };
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A crash can leave a truncated last line behind - ignore it
+        continue;
+      }
+
+      if (entry.type === 'run') {
+        state.run = state.run || entry;
+        continue;
+      }
+
+      if (entry.type === 'cascade-plan') {
+        state.cascadePlan = state.cascadePlan || { candidates: entry.candidates, skipped: entry.skipped };
+        continue;
+      }
+
+      const phase = state.phases[entry.phase] || (state.phases[entry.phase] = {
+        targets: [],
+        targetIds: new Set(),
+        listed: false,
+        succeeded: new Set(),
+        failed: new Map(),
+        excluded: new Set(),
+        completed: false
+      });
+
+      if (entry.type === 'phase') {
+        state.lastPhase = entry.phase;
+      } else if (entry.type === 'targets') {
+        for (const target of entry.targets) {
+          if (!phase.targetIds.has(target.id)) {
+            phase.targetIds.add(target.id);
+            phase.targets.push(target);
+          }
+        }
+      } else if (entry.type === 'listing-complete') {
+        phase.listed = true;
+      } else if (entry.type === 'excluded') {
+        entry.ids.forEach(id => phase.excluded.add(id));
+      } else if (entry.type === 'result') {
+        if (entry.status === 'success') {
+          phase.succeeded.add(entry.id);
+          phase.failed.delete(entry.id);
+        } else {
+          phase.failed.set(entry.id, entry.error);
+        }
+      } else if (entry.type === 'phase-complete') {
+        phase.completed = true;
+      }
+    }
+
+    if (!state.run) {
+      throw new Error(`Journal ${filePath} is missing its run header`);
+    }
+    for (const phase of Object.values(state.phases)) {
+      phase.targets = phase.targets.filter(target => !phase.excluded.has(target.id));
+    }
+
+    return state;
+  }
+
+  append(entry) {
+    // Synchronous append so every result is on disk before the next one starts
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+  }
+
+  startPhase(phase, resumed = false) {
+    this.append({ type: 'phase', phase, startedAt: new Date().toISOString(), resumed });
+  }
+
+  appendTargets(phase, targets) {
+    if (targets.length > 0) {
+      this.append({ type: 'targets', phase, targets: targets.map(toJournalTarget) });
+    }
+  }
+
+  completeListing(phase) {
+    this.append({ type: 'listing-complete', phase });
+  }
+
+  recordResult(phase, id, success, error = null) {
+    this.append({
+      type: 'result',
+      phase,
+      id,
+      status: success ? 'success' : 'failed',
+      error: error || undefined,
+      at: new Date().toISOString()
+    });
+  }
+
+  excludeTargets(phase, ids) {
+    if (ids.length > 0) {
+      this.append({ type: 'excluded', phase, ids });
+    }
+  }
+
+  recordCascadePlan(plan) {
+    this.append({ type: 'cascade-plan', ...plan });
+  }
+
+  completePhase(phase) {
+    this.append({ type: 'phase-complete', phase, completedAt: new Date().toISOString() });
+  }
+}
+
+/**
+ * Reduce an entity to the fields needed to resume its deletion
+ */
+export function toJournalTarget(entity) {
+  return {
+    id: entity.id,
+    name: entity.name,
+    email: entity.email,
+    firstName: entity.firstName,
+    lastName: entity.lastName,
+    domain: entity.domain,
+    organizationId: entity.organizationId,
+    createdAt: entity.createdAt
+  };
+}
@@ -0,0 +1,228 @@
+/**
+ * Listing Cache
+ * The ID and createdAt of organizations and users listed by earlier runs,
+ * kept on disk per environment. A deleter given a cache lists only what was
+ * created after the newest cached record (list endpoints return newest
+ * first); of the older records, those that match the filter are fetched
+ * again by ID, so nothing is deleted, snapshotted or checked against the
+ * protected list from a cached copy. IDs it deletes, or finds gone, are
+ * dropped from the cache.
+ *
+ *   const cache = loadListingCache(getListingCachePath('.workos-cache', apiKey));
+ *   const deleter = createBulkDeleter({ workos, filters, listingCache: cache });
+ *   await deleter.run();
+ *   cache.save();
+ *
+ * Only filters that read nothing but the ID and createdAt (see
+ * uncachedFilterFields) can be matched against cached records; other
+ * filters list in full and only refresh the cache. cache.invalidate()
+ * makes the next listing of each type a full one.
+ *
+ * The file is JSON: { version, savedAt, types: { organization, user } }
+ * where each type is { refreshedAt, coversFrom, entities }. entities are
+ * { id, createdAt } records, newest first; coversFrom is the createdAt of
+ * the oldest record the listing reached (records created before it were
+ * never listed), or null when it reached the end of the list. Names,
+ * emails and domains are never written.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { filterFields } from './filters.js';
+import { describeApiKey } from './report.js';
+
+const CACHE_VERSION = 2;
+export const CACHED_TYPES = ['organization', 'user'];
+
+// Filter fields a cached { id, createdAt } record answers
+const CACHED_FILTER_FIELDS = ['id', 'created', 'age'];
+
+/**
+ * Cache file for the environment an API key belongs to: the key's
+ * environment (test or live) and a hash of the key, never the key itself
+ */
+export function getListingCachePath(directory, apiKey) {
+  const hash = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+  return path.join(directory, `${describeApiKey(apiKey).environment}-${hash}.json`);
+}
+
+/**
+ * Fields a filter reads that cached records do not hold (empty when the
+ * cache can be used to select its targets)
+ */
+export function uncachedFilterFields(filter) {
+  return filter ? filterFields(filter).filter(field => !CACHED_FILTER_FIELDS.includes(field)) : [];
+}
+
+/**
+ * What is kept of a listed entity
+ */
+function toRecord({ id, createdAt }) {
+  return { id, createdAt };
+}
+
+/**
+ * Newest first, as the list endpoints return them
+ */
+function byCreatedAtDescending(a, b) {
+  return Date.parse(b.createdAt) - Date.parse(a.createdAt);
+}
+
+/**
+ * Listed organizations and users of one environment
+ */
+export class ListingCache {
+  constructor(filePath, types = {}) {
+    this.filePath = filePath;
+    // Types whose next listing is a full one
+    this.stale = new Set();
+    this.types = {};
+    for (const [entityType, entry] of Object.entries(types)) {
+      if (CACHED_TYPES.includes(entityType)) {
+        this.types[entityType] = { ...entry, ids: new Set(entry.entities.map(entity => entity.id)) };
+      }
+    }
+  }
+
+  /**
+   * Entry of a type with removed entities dropped, or undefined
+   */
+  entry(entityType) {
+    const entry = this.types[entityType];
+    if (entry?.removed) {
+      entry.entities = entry.entities.filter(entity => entry.ids.has(entity.id));
+      entry.removed = false;
+    }
+    return entry;
+  }
+
+  /**
+   * Whether an entity type is cached at all
+   */
+  holds(entityType) {
+    return CACHED_TYPES.includes(entityType);
+  }
+
+  /**
+   * When an entity type was last listed (ms), or null if it never was
+   */
+  refreshedAt(entityType) {
+    const entry = this.types[entityType];
+    return entry ? Date.parse(entry.refreshedAt) : null;
+  }
+
+  /**
+   * Number of cached entities of a type
+   */
+  count(entityType) {
+    return this.types[entityType]?.ids.size ?? 0;
+  }
+
+  /**
+   * Whether the cache holds every record a listing down to createdCutoff
+   * (null: the whole list) would return
+   */
+  covers(entityType, createdCutoff = null) {
+    const entry = this.types[entityType];
+    if (!entry || this.stale.has(entityType)) {
+      return false;
+    }
+    return entry.coversFrom === null || (createdCutoff !== null && createdCutoff >= Date.parse(entry.coversFrom));
+  }
+
+  /**
+   * createdAt (ms) of the newest cached entity of a type, or null
+   */
+  newestCreatedAt(entityType) {
+    const newest = this.entry(entityType)?.entities[0];
+    return newest ? Date.parse(newest.createdAt) : null;
+  }
+
+  /**
+   * Cached { id, createdAt } records of a type, newest first
+   */
+  entities(entityType) {
+    return this.entry(entityType)?.entities ?? [];
+  }
+
+  /**
+   * Replace an entity type with a new full listing. coversFrom is the
+   * createdAt of the oldest record reached, or null at the end of the list.
+   */
+  store(entityType, entities, coversFrom) {
+    this.types[entityType] = {
+      refreshedAt: new Date().toISOString(),
+      coversFrom,
+      entities: entities.map(toRecord).sort(byCreatedAtDescending),
+      ids: new Set(entities.map(entity => entity.id))
+    };
+    this.stale.delete(entityType);
+  }
+
+  /**
+   * List every type in full again on its next listing; the cached
+   * entities are kept until then
+   */
+  invalidate() {
+    CACHED_TYPES.forEach(entityType => this.stale.add(entityType));
+  }
+
+  /**
+   * Add entities fetched by an incremental listing, or by a listing that
+   * stopped before the older cached records
+   */
+  merge(entityType, fresh) {
+    const entry = this.entry(entityType);
+    const freshIds = new Set(fresh.map(entity => entity.id));
+    entry.entities = [...fresh.map(toRecord), ...entry.entities.filter(entity => !freshIds.has(entity.id))].sort(byCreatedAtDescending);
+    entry.ids = new Set(entry.entities.map(entity => entity.id));
+    entry.refreshedAt = new Date().toISOString();
+  }
+
+  /**
+   * Drop a deleted or vanished entity (from the list on its next use, as a
+   * run removes thousands)
+   */
+  remove(entityType, id) {
+    const entry = this.types[entityType];
+    if (entry?.ids.delete(id)) {
+      entry.removed = true;
+    }
+  }
+
+  /**
+   * Write the cache file (through a temporary file, so a crash never
+   * leaves half of it behind)
+   */
+  save() {
+    const types = {};
+    for (const entityType of Object.keys(this.types)) {
+      const { refreshedAt, coversFrom, entities } = this.entry(entityType);
+      types[entityType] = { refreshedAt, coversFrom, entities };
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const temporaryPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify({ version: CACHE_VERSION, savedAt: new Date().toISOString(), types }) + '\n');
+    fs.renameSync(temporaryPath, this.filePath);
+  }
+}
+
+/**
+ * Load the cache at filePath; a missing file, or one written by another
+ * version (version 1 files held whole records), gives an empty cache that
+ * overwrites it on save
+ */
+export function loadListingCache(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return new ListingCache(filePath);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Listing cache ${filePath} cannot be read (${error.message}); delete it to start over`);
+  }
+  return data.version === CACHE_VERSION ? new ListingCache(filePath, data.types) : new ListingCache(filePath);
+}
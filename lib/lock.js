@@ -0,0 +1,78 @@
+/**
+ * Lock file that keeps two long-running instances (e.g. two watch
+ * processes) from working on the same environment at once.
+ * The file holds { pid, hostname, startedAt, argv }. A lock left behind by
+ * a process that no longer runs on this host is taken over.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Whether a process with this ID runs on this host
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Create the lock file. Returns { path, holder, staleHolder } where
+ * staleHolder describes a dead process whose lock was taken over; throws if
+ * another live process holds it.
+ */
+export function acquireLock(filePath, argv = process.argv.slice(2)) {
+  const holder = { pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString(), argv };
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  let staleHolder = null;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      fs.writeFileSync(filePath, JSON.stringify(holder) + '\n', { flag: 'wx' });
+      return { path: filePath, holder, staleHolder };
+    } catch (error) {
+      if (error.code !== 'EEXIST' || attempt > 1) {
+        throw error.code === 'EEXIST'
+          ? new Error(`Lock file ${filePath} was created by another process at the same time`)
+          : error;
+      }
+    }
+
+    let existing;
+    try {
+      existing = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Lock file ${filePath} exists but cannot be read (${error.message}); remove it if no other instance is running`);
+    }
+    if (existing.hostname !== os.hostname()) {
+      throw new Error(`Lock file ${filePath} is held by process ${existing.pid} on ${existing.hostname} since ${existing.startedAt}; remove it if that process is gone`);
+    }
+    if (isRunning(existing.pid)) {
+      throw new Error(`Another instance is running (process ${existing.pid}, started ${existing.startedAt}); lock file: ${filePath}`);
+    }
+
+    // Left behind by a process that died without cleaning up
+    staleHolder = existing;
+    fs.unlinkSync(filePath);
+  }
+}
+
+/**
+ * Remove the lock file if it is still ours
+ */
+export function releaseLock(lock) {
+  try {
+    const existing = JSON.parse(fs.readFileSync(lock.path, 'utf8'));
+    if (existing.pid === lock.holder.pid && existing.hostname === lock.holder.hostname) {
+      fs.unlinkSync(lock.path);
+    }
+  } catch {
+    // Already gone
+  }
+}
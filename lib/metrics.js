@@ -0,0 +1,268 @@
+/**
+ * Run Metrics
+ * Follows a BulkDeleter's events and serves them over HTTP for the length
+ * of a run, as Prometheus text (/metrics) and a JSON status document
+ * (/status), so unattended runs can be scraped and alerted on.
+ *
+ *   const metrics = createRunMetrics(deleter);
+ *   const server = await startMetricsServer(metrics, { port: 9464 });
+ *   await deleter.run();
+ *   server.close();
+ *
+ * Counters start at zero for each process; a resumed run only counts what
+ * it deletes itself (the journal's earlier successes are in `resumed`).
+ */
+
+import http from 'http';
+import { getPhaseName } from './bulk-deleter.js';
+
+const METRIC_PREFIX = 'workos_cleanup';
+
+/**
+ * Parse a --metrics-port value: "<port>" (served on 127.0.0.1) or "<host>:<port>"
+ */
+export function parseMetricsAddress(value) {
+  const separator = value.lastIndexOf(':');
+  const host = separator === -1 ? '127.0.0.1' : value.slice(0, separator).replace(/^\[(.*)\]$/, '$1');
+  const portValue = separator === -1 ? value : value.slice(separator + 1);
+  const port = Number(portValue);
+  if (!host || !/^\d+$/.test(portValue) || port > 65535) {
+    throw new Error(`--metrics-port expects a port (0-65535) or host:port, got "${value}"`);
+  }
+  return { host, port };
+}
+
+/**
+ * Live counters and gauges for one deletion run
+ */
+export class RunMetrics {
+  constructor(deleter) {
+    this.deleter = deleter;
+    this.startedAt = Date.now();
+    this.retries = { 'rate-limit': 0, transient: 0 };
+    // Per entity type, in the order the phases start
+    this.phases = {};
+
+    deleter.on('phase-start', ({ entityType, resumed }) => {
+      this.phase(entityType).resumed = resumed?.succeeded || 0;
+    });
+    deleter.on('targets', ({ entityType, targets }) => {
+      Object.assign(this.phase(entityType), { targets: targets.length, targetsFinal: true });
+    });
+    deleter.on('dependents-found', ({ entityType, targets }) => {
+      Object.assign(this.phase(entityType), { targets: targets.length, targetsFinal: true });
+    });
+    deleter.on('listing-complete', ({ entityType }) => {
+      this.phase(entityType).targetsFinal = true;
+    });
+    deleter.on('delete-start', ({ entityType, total }) => {
+      const phase = this.phase(entityType);
+      phase.state = 'deleting';
+      phase.deleteStartedAt = Date.now();
+      if (total !== null) {
+        Object.assign(phase, { targets: total, targetsFinal: true });
+      }
+    });
+    deleter.on('target', ({ entityType }) => {
+      this.phase(entityType).targets++;
+    });
+    deleter.on('deleted', ({ entityType, alreadyDeleted }) => {
+      const phase = this.phase(entityType);
+      phase.deleted++;
+      if (alreadyDeleted) {
+        phase.alreadyDeleted++;
+      }
+    });
+    deleter.on('failed', ({ entityType }) => {
+      this.phase(entityType).failed++;
+    });
+    deleter.on('retry', ({ kind }) => {
+      this.retries[kind] = (this.retries[kind] || 0) + 1;
+    });
+    deleter.on('dry-run', ({ entityType, targets }) => {
+      Object.assign(this.phase(entityType), { targets: targets.length, targetsFinal: true });
+    });
+    deleter.on('phase-complete', ({ entityType }) => {
+      const phase = this.phase(entityType);
+      phase.state = 'complete';
+      phase.targetsFinal = true;
+    });
+  }
+
+  /**
+   * State of a phase, created if its events arrive before phase-start
+   */
+  phase(entityType) {
+    this.phases[entityType] ??= {
+      state: 'listing',
+      targets: 0,
+      targetsFinal: false,
+      deleted: 0,
+      alreadyDeleted: 0,
+      failed: 0,
+      resumed: 0,
+      deleteStartedAt: null
+    };
+    return this.phases[entityType];
+  }
+
+  /**
+   * Entity types with a rate limiter worth reporting: the run's phases
+   */
+  get entityTypes() {
+    const { deleter } = this;
+    const types = [...deleter.dependentTypes];
+    if (!deleter.filters.orphans) {
+      types.push('organization');
+    }
+    if (deleter.deletesUsers) {
+      types.push('user');
+    }
+    return [...new Set([...types, ...Object.keys(this.phases)])];
+  }
+
+  /**
+   * Seconds until the phase is deleted at its observed rate (the limiter's
+   * rate until the first deletion finishes), or null when it isn't deleting
+   */
+  estimateSeconds(entityType) {
+    const phase = this.phases[entityType];
+    if (!phase || phase.state !== 'deleting') {
+      return null;
+    }
+    const done = phase.deleted + phase.failed;
+    const elapsed = (Date.now() - phase.deleteStartedAt) / 1000;
+    const rate = done > 0 && elapsed > 0 ? done / elapsed : this.deleter.rateLimiters[entityType].refillRate;
+    return Math.max(0, phase.targets - done) / rate;
+  }
+
+  /**
+   * JSON status document
+   */
+  status() {
+    const { deleter } = this;
+    const limiters = {};
+    const describe = (limiter) => ({
+      tokens: limiter.getAvailableTokens(),
+      requestsPerSecond: limiter.refillRate,
+      maxRequestsPerSecond: limiter.maxRate,
+      rateLimited: limiter.throttleCount
+    });
+    for (const entityType of this.entityTypes) {
+      limiters[getPhaseName(entityType)] = describe(deleter.rateLimiters[entityType]);
+    }
+    limiters.reads = describe(deleter.rateLimiters.read);
+
+    const phases = {};
+    // Organization and user phases can be active at the same time
+    const active = [];
+    for (const [entityType, phase] of Object.entries(this.phases)) {
+      const { deleteStartedAt, ...counts } = phase;
+      phases[getPhaseName(entityType)] = {
+        ...counts,
+        etaSeconds: this.estimateSeconds(entityType)
+      };
+      if (phase.state !== 'complete') {
+        active.push(getPhaseName(entityType));
+      }
+    }
+
+    return {
+      startedAt: new Date(this.startedAt).toISOString(),
+      uptimeSeconds: (Date.now() - this.startedAt) / 1000,
+      dryRun: deleter.dryRun,
+      filter: deleter.filterExpression,
+      currentPhase: active[active.length - 1] ?? null,
+      activePhases: active,
+      stopping: deleter.stopReason,
+      inFlight: deleter.inFlight,
+      retries: { ...this.retries },
+      phases,
+      limiters
+    };
+  }
+
+  /**
+   * Prometheus text exposition format (version 0.0.4)
+   */
+  toPrometheus() {
+    const status = this.status();
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${METRIC_PREFIX}_${name} ${help}`, `# TYPE ${METRIC_PREFIX}_${name} ${type}`);
+      for (const [labels, value] of samples) {
+        const labelText = Object.entries(labels).map(([key, label]) => `${key}="${label}"`).join(',');
+        lines.push(`${METRIC_PREFIX}_${name}${labelText ? `{${labelText}}` : ''} ${Number.isFinite(value) ? value : 'NaN'}`);
+      }
+    };
+    const byType = (source, value) => Object.entries(source)
+      .map(([phaseName, entry]) => [{ phase: phaseName }, value(entry)]);
+
+    metric('start_time_seconds', 'gauge', 'Unix time the run started',
+      [[{}, this.startedAt / 1000]]);
+    metric('dry_run', 'gauge', '1 if the run deletes nothing',
+      [[{}, status.dryRun ? 1 : 0]]);
+    metric('targets', 'gauge', 'Targets found so far per phase',
+      byType(status.phases, phase => phase.targets));
+    metric('targets_final', 'gauge', '1 once listing has finished and the phase total is known',
+      byType(status.phases, phase => (phase.targetsFinal ? 1 : 0)));
+    metric('deleted_total', 'counter', 'Entities deleted, including ones that were already gone',
+      byType(status.phases, phase => phase.deleted));
+    metric('failed_total', 'counter', 'Entities that could not be deleted',
+      byType(status.phases, phase => phase.failed));
+    metric('phase_active', 'gauge', '1 while a phase is listing or deleting',
+      byType(status.phases, phase => (phase.state === 'complete' ? 0 : 1)));
+    metric('eta_seconds', 'gauge', 'Estimated seconds until the phase finishes deleting',
+      byType(status.phases, phase => phase.etaSeconds).filter(([, value]) => value !== null));
+    metric('retries_total', 'counter', 'API calls retried after a rate limit or transient error',
+      Object.entries(status.retries).map(([kind, count]) => [{ kind }, count]));
+    metric('rate_limited_total', 'counter', '429 responses per rate limiter',
+      byType(status.limiters, limiter => limiter.rateLimited));
+    metric('in_flight', 'gauge', 'Delete requests currently in progress',
+      [[{}, status.inFlight]]);
+    metric('limiter_tokens', 'gauge', 'Tokens available in the rate limiter',
+      byType(status.limiters, limiter => limiter.tokens));
+    metric('limiter_rate', 'gauge', 'Current rate limiter rate in requests per second (halved on 429s)',
+      byType(status.limiters, limiter => limiter.requestsPerSecond));
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Create run metrics for a bulk deleter
+ */
+export function createRunMetrics(deleter) {
+  return new RunMetrics(deleter);
+}
+
+/**
+ * Serve /metrics (Prometheus) and /status (JSON). Resolves with the
+ * listening http.Server; rejects if the port cannot be bound.
+ */
+export function startMetricsServer(metrics, { port, host = '127.0.0.1' }) {
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (request.method !== 'GET') {
+      response.writeHead(405, { Allow: 'GET' }).end();
+    } else if (pathname === '/metrics') {
+      response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      response.end(metrics.toPrometheus());
+    } else if (pathname === '/status' || pathname === '/') {
+      response.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+      response.end(JSON.stringify(metrics.status(), null, 2) + '\n');
+    } else {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found: try /metrics or /status\n');
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      // Scrapes must never keep a finished run alive
+      server.unref();
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,104 @@
+/**
+ * NDJSON Event Stream
+ * Writes a BulkDeleter's events as one JSON object per line, for CI logs
+ * and log shippers. Every line is { ts, event, ... }: entities are reduced
+ * to { id, name } (plus organizationId for dependents) and errors to
+ * { message, status }.
+ *
+ *   const emit = attachNdjsonOutput(deleter, process.stdout);
+ *   emit('run-start', { filter: deleter.filterExpression });
+ *   await deleter.run();
+ *
+ * Events: run-start / run-complete / run-failed (written by the caller),
+ * phase-start, listing-start, page, listing-complete, matched (one per
+ * target as it is listed or looked up; a resumed phase's remaining targets
+ * were matched by the earlier run), protected, warning, cascade-plan,
+ * snapshot, delete-start, deleted, failed, retry, dry-run, phase-complete,
+ * stopping, verify-start, verify-complete (with the entities that still
+ * exist or could not be checked).
+ */
+
+import { getEntityName } from './bulk-deleter.js';
+
+/**
+ * { id, name } of an entity for an event line
+ */
+function toEventEntity(entity, entityType) {
+  const record = { id: entity.id, name: getEntityName(entity, entityType) };
+  if (entity.organizationId) {
+    record.organizationId = entity.organizationId;
+  }
+  return record;
+}
+
+/**
+ * Write the deleter's events to stream as NDJSON. Returns emit(event, fields)
+ * for the caller's own events.
+ */
+export function attachNdjsonOutput(deleter, stream) {
+  const emit = (event, fields = {}) => {
+    stream.write(JSON.stringify({ ts: new Date().toISOString(), event, ...fields }) + '\n');
+  };
+  const matched = (entityType, entities) => {
+    for (const entity of entities) {
+      emit('matched', { entityType, entity: toEventEntity(entity, entityType) });
+    }
+  };
+
+  deleter.on('phase-start', ({ entityType, resumed }) => emit('phase-start', { entityType, resumed }));
+  deleter.on('listing-start', ({ entityType, filterExpression, createdCutoff }) => {
+    emit('listing-start', {
+      entityType,
+      filter: filterExpression,
+      createdCutoff: createdCutoff === null ? null : new Date(createdCutoff).toISOString()
+    });
+  });
+  deleter.on('page', ({ matches, ...page }) => {
+    emit('page', page);
+    matched(page.entityType, matches);
+  });
+  deleter.on('listing-complete', (stats) => emit('listing-complete', stats));
+  deleter.on('targets', ({ entityType, targets }) => matched(entityType, targets));
+  deleter.on('dependents-found', ({ entityType, targets }) => matched(entityType, targets));
+  deleter.on('protected', ({ entityType, entity }) => emit('protected', { entityType, entity: toEventEntity(entity, entityType) }));
+  deleter.on('warning', ({ entityType, entity, message }) => emit('warning', { entityType, id: entity?.id ?? null, message }));
+  deleter.on('cascade-plan', ({ plan, members, durationMs }) => {
+    emit('cascade-plan', { members, candidates: plan.candidates.length, skipped: plan.skipped.length, durationMs });
+  });
+  deleter.on('snapshot', ({ entityType, count, path }) => emit('snapshot', { entityType, count, path }));
+  deleter.on('delete-start', (start) => emit('delete-start', start));
+  deleter.on('deleted', ({ entityType, entity, alreadyDeleted }) => {
+    emit('deleted', { entityType, entity: toEventEntity(entity, entityType), alreadyDeleted });
+  });
+  deleter.on('failed', ({ entityType, entity, error, status }) => {
+    emit('failed', { entityType, entity: toEventEntity(entity, entityType), error: { message: error.message, status } });
+  });
+  deleter.on('retry', ({ kind, attempt, maxAttempts, delayMs, error }) => {
+    emit('retry', { kind, attempt, maxAttempts, delayMs: Math.round(delayMs), error: error.message });
+  });
+  deleter.on('stopping', (stopping) => emit('stopping', stopping));
+  deleter.on('dry-run', ({ entityType, targets }) => emit('dry-run', { entityType, count: targets.length }));
+  deleter.on('phase-complete', ({ entityType, results, throttled, rate, maxRate }) => {
+    emit('phase-complete', {
+      entityType,
+      successful: results.successful.length,
+      failed: results.failed.length,
+      throttled,
+      rate,
+      maxRate
+    });
+  });
+  deleter.on('verify-start', (start) => emit('verify-start', start));
+  deleter.on('verify-complete', ({ entityType, results, durationMs }) => {
+    const { stillExists, errors, ...counts } = results;
+    emit('verify-complete', {
+      entityType,
+      ...counts,
+      stillExists: stillExists.map(({ id, name, organizationId, reappeared }) => ({ id, name, organizationId, reappeared })),
+      errors: errors.map(({ id, name, organizationId, error, status }) => ({ id, name, organizationId, error: { message: error, status } })),
+      durationMs
+    });
+  });
+
+  return emit;
+}
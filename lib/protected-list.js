@@ -0,0 +1,90 @@
+/**
+ * Protected allowlist
+ * Organizations and users that are never deleted, whatever the filter says.
+ */
+
+import fs from 'fs';
+
+const PROTECTED_LIST_KEYS = ['organizationIds', 'domains', 'emails'];
+
+/**
+ * Load the protected allowlist from a JSON file.
+ *
+ * {
+ *   "organizationIds": ["org_..."],   Organizations that are never deleted
+ *   "domains": ["bigcustomer.com"],   Organizations with this domain and users
+ *                                     with this email domain are never deleted
+ *   "emails": ["ceo@bigcustomer.com"] Users that are never deleted
+ * }
+ */
+export function loadProtectedList(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Protected list not found: ${filePath}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in protected list ${filePath}: ${error.message}`);
+  }
+
+  return createProtectedList(parsed, filePath);
+}
+
+/**
+ * Build a protected allowlist from { organizationIds, domains, emails }
+ * arrays. source names where the values came from in error messages.
+ */
+export function createProtectedList(values = {}, source = null) {
+  const where = source ? ` in protected list ${source}` : ' in protected list';
+  const protectedList = { path: source, organizationIds: new Set(), domains: new Set(), emails: new Set() };
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Protected list${source ? ` ${source}` : ''} must be a JSON object`);
+  }
+
+  for (const [key, list] of Object.entries(values)) {
+    if (!PROTECTED_LIST_KEYS.includes(key)) {
+      throw new Error(`Unknown key "${key}"${where} (expected ${PROTECTED_LIST_KEYS.join(', ')})`);
+    }
+    if (!Array.isArray(list) || list.some(value => typeof value !== 'string')) {
+      throw new Error(`"${key}"${where} must be an array of strings`);
+    }
+    // Domains and emails are compared case-insensitively
+    list.forEach(value => protectedList[key].add(key === 'organizationIds' ? value : value.toLowerCase()));
+  }
+
+  return protectedList;
+}
+
+/**
+ * Combine protected allowlists - an entity on any of them stays protected
+ */
+export function mergeProtectedLists(...lists) {
+  const merged = createProtectedList();
+  const sources = [];
+  for (const list of lists) {
+    if (list.path) {
+      sources.push(list.path);
+    }
+    PROTECTED_LIST_KEYS.forEach(key => list[key].forEach(value => merged[key].add(value)));
+  }
+  merged.path = sources.length > 0 ? sources.join(' + ') : null;
+  return merged;
+}
+
+/**
+ * Check whether an entity is on the protected allowlist
+ */
+export function isProtected(entity, entityType, protectedList) {
+  const { organizationIds, domains, emails } = protectedList;
+
+  if (entityType === 'organization') {
+    return organizationIds.has(entity.id) ||
+      (entity.domains || []).some(domain => domains.has(domain.domain.toLowerCase()));
+  }
+
+  const email = (entity.email || '').toLowerCase();
+  return emails.has(email) || domains.has(email.split('@').pop());
+}
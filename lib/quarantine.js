@@ -0,0 +1,194 @@
+/**
+ * Quarantine Marks
+ * First half of a two-phase deletion: instead of deleting, the mark action
+ * stamps every matched organization and user with a metadata key
+ * (pending_deletion_at, an ISO timestamp) so product teams can object
+ * before a later sweep deletes what has been marked for longer than a
+ * grace period (the `marked-age` filter field). The unmark action removes
+ * the key again. Like BulkDeleter it reports progress through events and
+ * never prints.
+ *
+ *   const marker = createMarker({ workos, filters: { expression: 'age > 90d', users: true } });
+ *   marker.on('failed', ({ entity, error }) => log(entity.id, error.message));
+ *   const { organizations, users } = await marker.run();
+ *
+ *   // Later: delete what has been marked for more than 14 days
+ *   createBulkDeleter({ workos, filters: { expression: 'age > 90d AND marked-age > 14d', users: true } });
+ *
+ * Targets are selected exactly as BulkDeleter selects them (filter, ID
+ * list, protected list, orphans); marker.deleter emits the listing events
+ * (listing-start, page, listing-complete, lookup-start, lookup-complete,
+ * protected, warning).
+ *
+ * Events (each listener receives one object):
+ *   phase-start     { entityType, total, unchanged }  After listing; unchanged were
+ *                                                   already marked (mark) or not marked (unmark)
+ *   updated         { entityType, entity }
+ *   failed          { entityType, entity, error, status }
+ *   retry           { kind, attempt, maxAttempts, delayMs, error }
+ *   dry-run         { entityType, targets }
+ *   phase-complete  { entityType, results }
+ */
+
+import { EventEmitter } from 'events';
+import { executeWithRateLimit, getErrorStatus } from './rate-limiter.js';
+import { BulkDeleter, getEntityName, getPhaseName } from './bulk-deleter.js';
+import { MARK_METADATA_KEY } from './filters.js';
+
+export const MARK_ACTIONS = ['mark', 'unmark'];
+
+// Metadata updates merge keys; a null value removes a key
+const UPDATE_APIS = {
+  organization: (workos, id, metadata) => workos.organizations.updateOrganization({ organization: id, metadata }),
+  user: (workos, id, metadata) => workos.userManagement.updateUser({ userId: id, metadata })
+};
+
+/**
+ * Result record for a marked or unmarked entity
+ */
+function toResult(entity, entityType) {
+  return {
+    id: entity.id,
+    name: getEntityName(entity, entityType),
+    markedAt: entity.metadata?.[MARK_METADATA_KEY] ?? null
+  };
+}
+
+/**
+ * Marker that sets or removes the quarantine mark.
+ *
+ * Options:
+ *   workos        WorkOS client (required)
+ *   action        'mark' (default) or 'unmark'
+ *   filters       Target selection, as for createBulkDeleter (expression,
+ *                 timeZone, ids, users, orphans, protected)
+ *   limits        As for createBulkDeleter; updates use the delete limits
+ *   dryRun        List what would change without updating anything
+ *   beforeUpdate  async (targets, entityType) => targets, called before
+ *                 each phase updates
+ *
+ * An entity that is already marked keeps its mark, so marking again never
+ * restarts its grace period.
+ */
+export class Marker extends EventEmitter {
+  constructor({ workos, action = 'mark', filters = {}, limits = {}, dryRun = false, beforeUpdate = null } = {}) {
+    super();
+    if (!workos) {
+      throw new Error('createMarker requires a WorkOS client (workos)');
+    }
+    if (!MARK_ACTIONS.includes(action)) {
+      throw new Error(`Unknown marker action "${action}" (expected ${MARK_ACTIONS.join(' or ')})`);
+    }
+
+    this.workos = workos;
+    this.action = action;
+    this.dryRun = dryRun;
+    this.beforeUpdate = beforeUpdate;
+    this.markedAt = new Date().toISOString();
+
+    // Only lists; its rate limiters are shared with the updates
+    this.deleter = new BulkDeleter({ workos, filters, limits, dryRun: true });
+    this.deleter.on('retry', (retry) => this.emit('retry', retry));
+
+    this.results = { organizations: null, users: null };
+  }
+
+  /**
+   * Entity types the marker updates, in order
+   */
+  get entityTypes() {
+    const types = this.deleter.filters.orphans ? [] : ['organization'];
+    if (this.deleter.deletesUsers) {
+      types.push('user');
+    }
+    return types;
+  }
+
+  /**
+   * Mark (or unmark) organizations, then users.
+   * Returns { organizations, users } with { successful, failed, unchanged }
+   * for each (null for a phase that did not run).
+   */
+  async run() {
+    for (const entityType of this.entityTypes) {
+      this.results[getPhaseName(entityType)] = await this.updatePhase(entityType);
+    }
+    return { ...this.results };
+  }
+
+  /**
+   * List the targets of one entity type and update the ones whose mark changes
+   */
+  async updatePhase(entityType) {
+    const entities = await this.deleter.listTargets(entityType);
+    // A mark that is not a date (edited by hand) is replaced; unmark removes any value
+    const mark = (entity) => entity.metadata?.[MARK_METADATA_KEY];
+    const changes = (entity) => (this.action === 'mark' ? isNaN(Date.parse(mark(entity))) : mark(entity) != null);
+    let targets = entities.filter(changes);
+    const results = {
+      successful: [],
+      failed: [],
+      unchanged: entities.filter(entity => !changes(entity)).map(entity => toResult(entity, entityType))
+    };
+    this.emit('phase-start', { entityType, total: targets.length, unchanged: results.unchanged.length });
+
+    if (this.dryRun) {
+      if (targets.length > 0) {
+        this.emit('dry-run', { entityType, targets });
+      }
+      results.successful = targets.map(entity => toResult(entity, entityType));
+      this.emit('phase-complete', { entityType, results });
+      return results;
+    }
+
+    if (targets.length > 0 && this.beforeUpdate) {
+      targets = await this.beforeUpdate(targets, entityType);
+    }
+
+    const metadata = { [MARK_METADATA_KEY]: this.action === 'mark' ? this.markedAt : null };
+    const rateLimiter = this.deleter.rateLimiters[entityType];
+    const { concurrency } = this.deleter.getDeletionLimits(entityType);
+    const processingQueue = [];
+
+    for (const entity of targets) {
+      // Wait if we've hit the concurrency limit (reduced while throttled)
+      while (processingQueue.length >= rateLimiter.scaleConcurrency(concurrency)) {
+        await Promise.race(processingQueue);
+      }
+
+      const update = (async () => {
+        try {
+          const updated = await executeWithRateLimit(() => UPDATE_APIS[entityType](this.workos, entity.id, metadata), rateLimiter, {
+            maxAttempts: this.deleter.limits.maxAttempts,
+            onRetry: (retry) => this.emit('retry', retry)
+          });
+          results.successful.push(toResult(updated, entityType));
+          this.emit('updated', { entityType, entity: updated });
+        } catch (error) {
+          const status = getErrorStatus(error);
+          results.failed.push({ ...toResult(entity, entityType), error: error.message, status });
+          this.emit('failed', { entityType, entity, error, status });
+        }
+      })();
+
+      processingQueue.push(update);
+      update.finally(() => {
+        const index = processingQueue.indexOf(update);
+        if (index > -1) {
+          processingQueue.splice(index, 1);
+        }
+      });
+    }
+
+    await Promise.all(processingQueue);
+    this.emit('phase-complete', { entityType, results });
+    return results;
+  }
+}
+
+/**
+ * Create a marker (see Marker for the options and events)
+ */
+export function createMarker(options) {
+  return new Marker(options);
+}
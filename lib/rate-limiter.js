@@ -0,0 +1,228 @@
+/**
+ * Rate limiting and retries for WorkOS API calls
+ */
+
+// Retry and throttling behaviour
+export const MAX_ATTEMPTS = 5; // Attempts per API call for rate limits and transient errors
+const BACKOFF_BASE_MS = 1000; // First backoff, doubled on every further attempt
+const BACKOFF_MAX_MS = 30000; // Upper bound for a single backoff
+const MIN_RATE_FACTOR = 0.1; // Throttling never slows a limiter below 10% of its rate
+const RATE_RECOVERY_INTERVAL_MS = 5000; // Recover 10% of the rate after each 5s without throttling
+const TRANSIENT_STATUSES = new Set([408, 500, 502, 503, 504]);
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+
+/**
+ * Token Bucket Rate Limiter
+ * Supports different rate limits for different API endpoints.
+ * When the API throttles (429), all callers pause for the server-sent delay
+ * and the rate is halved; it recovers step by step while requests succeed.
+ */
+export class TokenBucketRateLimiter {
+  constructor(maxRequestsPerSecond) {
+    this.maxRate = maxRequestsPerSecond;
+    this.minRate = maxRequestsPerSecond * MIN_RATE_FACTOR;
+    this.refillRate = maxRequestsPerSecond; // tokens per second, adjusted on throttling
+    // Ensure capacity is at least 1 to allow token acquisition
+    this.tokens = Math.max(1, maxRequestsPerSecond);
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.lastAdjustment = 0;
+    this.throttleCount = 0;
+  }
+
+  refillTokens() {
+    const now = Date.now();
+    if (now < this.lastRefill) {
+      return; // Paused
+    }
+    const timePassed = (now - this.lastRefill) / 1000; // seconds
+    const tokensToAdd = timePassed * this.refillRate;
+
+    // Capacity follows the current rate so a slowed limiter doesn't burst
+    this.tokens = Math.min(Math.max(1, this.refillRate), this.tokens + tokensToAdd);
+    this.lastRefill = now;
+  }
+
+  async acquireToken() {
+    return new Promise((resolve) => {
+      const tryAcquire = () => {
+        // Honor a server-requested pause
+        const pause = this.pausedUntil - Date.now();
+        if (pause > 0) {
+          setTimeout(tryAcquire, pause);
+          return;
+        }
+
+        this.refillTokens();
+
+        if (this.tokens >= 1) {
+          this.tokens -= 1;
+          resolve();
+        } else {
+          // Calculate wait time based on refill rate
+          const waitTime = Math.ceil(1000 / this.refillRate);
+          setTimeout(tryAcquire, waitTime);
+        }
+      };
+
+      tryAcquire();
+    });
+  }
+
+  /**
+   * Throttling detected: pause every caller for delayMs and halve the rate.
+   * Concurrent requests hitting the same limit count as one slowdown.
+   */
+  throttle(delayMs) {
+    const now = Date.now();
+    this.throttleCount++;
+    this.pausedUntil = Math.max(this.pausedUntil, now + delayMs);
+    this.tokens = 0;
+    this.lastRefill = this.pausedUntil;
+
+    if (now - this.lastAdjustment >= 1000) {
+      this.refillRate = Math.max(this.minRate, this.refillRate / 2);
+      this.lastAdjustment = now;
+    }
+  }
+
+  /**
+   * A request succeeded: step the rate back up towards the maximum
+   */
+  recordSuccess() {
+    const now = Date.now();
+    if (this.refillRate < this.maxRate && now - this.lastAdjustment >= RATE_RECOVERY_INTERVAL_MS) {
+      this.refillRate = Math.min(this.maxRate, this.refillRate + this.maxRate * 0.1);
+      this.lastAdjustment = now;
+    }
+  }
+
+  /**
+   * Scale a concurrency limit by how far the rate is currently slowed down
+   */
+  scaleConcurrency(limit) {
+    return Math.max(1, Math.round(limit * this.refillRate / this.maxRate));
+  }
+
+  /**
+   * Get current token availability (for debugging)
+   */
+  getAvailableTokens() {
+    this.refillTokens();
+    return Math.floor(this.tokens);
+  }
+}
+
+/**
+ * HTTP status of an SDK error (ParseError carries it as rawStatus)
+ */
+export function getErrorStatus(error) {
+  return error?.status ?? error?.rawStatus ?? null;
+}
+
+/**
+ * Classify an API error as 'rate-limit', 'transient', 'not-found' or 'permanent'.
+ * Network failures have no status; the SDK wraps them, so the cause chain
+ * is searched for timeouts and connection errors.
+ */
+export function classifyError(error) {
+  const status = getErrorStatus(error);
+  if (status === 429) {
+    return 'rate-limit';
+  }
+  if (status === 404) {
+    return 'not-found';
+  }
+  if (TRANSIENT_STATUSES.has(status)) {
+    return 'transient';
+  }
+
+  if (status === null) {
+    for (let cause = error; cause; cause = cause.cause) {
+      if (TRANSIENT_ERROR_CODES.has(cause.code) ||
+        cause.name === 'AbortError' || cause.name === 'TimeoutError' ||
+        (cause instanceof TypeError && cause.message === 'fetch failed')) {
+        return 'transient';
+      }
+    }
+  }
+
+  return 'permanent';
+}
+
+/**
+ * Delay requested by the server, in ms: the SDK's retryAfter (seconds) or
+ * a Retry-After / RateLimit-Reset header when the error carries headers
+ */
+export function getRetryAfterMs(error) {
+  if (Number.isFinite(error.retryAfter) && error.retryAfter >= 0) {
+    return error.retryAfter * 1000;
+  }
+
+  const headers = error.headers || error.response?.headers;
+  if (!headers) {
+    return null;
+  }
+  const header = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? headers[name.toLowerCase()]) ?? null;
+
+  const retryAfter = header('Retry-After');
+  if (retryAfter !== null) {
+    // Either delay-seconds or an HTTP date
+    const seconds = Number(retryAfter);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(delay)) {
+      return Math.max(0, delay);
+    }
+  }
+
+  const reset = Number(header('X-RateLimit-Reset') ?? header('RateLimit-Reset'));
+  if (Number.isFinite(reset) && reset > 0) {
+    // Epoch seconds or seconds until the window resets
+    return reset > 1e9 ? Math.max(0, reset * 1000 - Date.now()) : reset * 1000;
+  }
+
+  return null;
+}
+
+/**
+ * Exponential backoff with jitter: half fixed, half random
+ */
+export function getBackoffMs(attempt) {
+  const backoff = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempt - 1));
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+/**
+ * Execute API call with rate limiting and retry logic.
+ * Rate limits (429) wait for the server-sent delay when there is one and
+ * slow the limiter down; 5xx errors, timeouts and connection resets are
+ * retried with jittered backoff. Other errors are thrown immediately.
+ * onRetry({ kind, attempt, maxAttempts, delayMs, error }) is called before
+ * each backoff.
+ */
+export async function executeWithRateLimit(apiCall, rateLimiter, { maxAttempts = MAX_ATTEMPTS, onRetry = null } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    await rateLimiter.acquireToken();
+    try {
+      const result = await apiCall();
+      rateLimiter.recordSuccess();
+      return result;
+    } catch (error) {
+      const kind = classifyError(error);
+      if ((kind !== 'rate-limit' && kind !== 'transient') || attempt >= maxAttempts) {
+        throw error;
+      }
+
+      let delay = getBackoffMs(attempt);
+      if (kind === 'rate-limit') {
+        delay = getRetryAfterMs(error) ?? delay;
+        rateLimiter.throttle(delay);
+      }
+      onRetry?.({ kind, attempt, maxAttempts, delayMs: delay, error });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Audit report output (JSON or CSV)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Describe the API key environment without exposing the key
+ */
+export function describeApiKey(apiKey = '') {
+  let environment = 'unknown';
+  if (apiKey.startsWith('sk_live_')) {
+    environment = 'live';
+  } else if (apiKey.startsWith('sk_test_')) {
+    environment = 'test';
+  }
+
+  const prefix = environment === 'unknown' ? '' : `sk_${environment}_`;
+  return { environment, key: `${prefix}…${apiKey.slice(-4)}` };
+}
+
+/**
+ * Write the audit report as JSON, or as CSV when the path ends in .csv.
+ * CSV files start with "# key: value" lines describing the run, followed by
+ * one row per processed entity.
+ */
+export function writeReport(filePath, report) {
+  const directory = path.dirname(filePath);
+  if (directory) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  if (!filePath.toLowerCase().endsWith('.csv')) {
+    fs.writeFileSync(filePath, JSON.stringify(report, null, 2) + '\n');
+    return;
+  }
+
+  const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [
+    `# dryRun: ${report.dryRun}`,
+    `# simulatedBackend: ${report.simulatedBackend}`,
+    `# status: ${report.status}${report.error ? ` (${report.error})` : ''}`,
+    `# startedAt: ${report.startedAt}`,
+    `# finishedAt: ${report.finishedAt}`,
+    `# apiKey: ${report.apiKey ? `${report.apiKey.environment} (${report.apiKey.key})` : 'none (simulated backend)'}`,
+    `# parameters: ${JSON.stringify(report.parameters)}`
+  ];
+
+  for (const [phaseName, phase] of Object.entries(report.phases)) {
+    if (phase) {
+      lines.push(`# ${phaseName}: processed=${phase.processed} deleted=${phase.deleted} failed=${phase.failed} durationSeconds=${phase.durationSeconds} throughputPerSecond=${phase.throughputPerSecond}`);
+    }
+  }
+
+  for (const [phaseName, phase] of Object.entries(report.verification || {})) {
+    lines.push(`# verification ${phaseName}: checked=${phase.checked} of ${phase.deleted} gone=${phase.gone} stillExists=${phase.stillExists.map(entity => entity.id).join(' ') || 'none'} errors=${phase.errors.map(entity => entity.id).join(' ') || 'none'}`);
+  }
+
+  lines.push('phase,id,name,createdAt,result,httpStatus,error');
+  for (const [phaseName, phase] of Object.entries(report.phases)) {
+    if (!phase) continue;
+    phase.successful.forEach(entity => {
+      let result = entity.alreadyDeleted ? 'already-deleted' : 'deleted';
+      if (report.dryRun) {
+        result = 'dry-run';
+      }
+      lines.push([phaseName, entity.id, entity.name, entity.createdAt, result, '', ''].map(csvCell).join(','));
+    });
+    phase.failures.forEach(entity => {
+      lines.push([phaseName, entity.id, entity.name, entity.createdAt, 'failed', entity.status, entity.error].map(csvCell).join(','));
+    });
+  }
+
+  fs.writeFileSync(filePath, lines.join('\n') + '\n');
+}
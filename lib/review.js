@@ -0,0 +1,172 @@
+/**
+ * Interactive Review
+ * Selection behind --interactive: the matched organizations or users as a
+ * paged, searchable list in which the operator includes or excludes
+ * entries before anything is deleted. Holds no terminal code; the CLI draws
+ * the pages and reads the commands.
+ *
+ *   const review = createReview(targets, 'organization', { pageSize: 20 });
+ *   review.search('acme');               // narrow the view
+ *   review.setMatching('^Test ', false); // exclude by pattern
+ *   review.toggle(parseNumberList('3 5-8'));
+ *   const { selected, excluded } = review.result();
+ *
+ * Entries keep the number they were listed with, whatever the search, and
+ * start out selected.
+ */
+
+import { getEntityName } from './bulk-deleter.js';
+
+/**
+ * Columns shown for an entry: name, ID, createdAt and domain (an
+ * organization's domains, a user's email)
+ */
+export function describeEntry(entity, entityType) {
+  const domain = entityType === 'organization'
+    ? (entity.domains || []).map(domain => domain.domain).join(', ')
+    : entity.email || '';
+  return { name: getEntityName(entity, entityType), id: entity.id, createdAt: entity.createdAt, domain };
+}
+
+/**
+ * Parse entry numbers such as "3 5-8,12" into a list
+ */
+export function parseNumberList(text) {
+  const numbers = [];
+  for (const part of text.split(/[\s,]+/).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid entry number "${part}" (expected e.g. 3, 5-8)`);
+    }
+    const from = Number(match[1]);
+    const to = match[2] === undefined ? from : Number(match[2]);
+    if (from > to) {
+      throw new Error(`Invalid range "${part}"`);
+    }
+    for (let number = from; number <= to; number++) {
+      numbers.push(number);
+    }
+  }
+  if (numbers.length === 0) {
+    throw new Error('Expected entry numbers (e.g. 3, 5-8)');
+  }
+  return numbers;
+}
+
+/**
+ * Selection over one phase's targets
+ */
+export class Review {
+  constructor(entities, entityType, { pageSize = 20 } = {}) {
+    this.entityType = entityType;
+    this.pageSize = pageSize;
+    this.entries = entities.map((entity, index) => {
+      const columns = describeEntry(entity, entityType);
+      return {
+        number: index + 1,
+        entity,
+        columns,
+        text: [columns.name, columns.id, columns.domain].join('\n'),
+        selected: true
+      };
+    });
+    this.query = '';
+    this.view = this.entries;
+    this.page = 0;
+  }
+
+  get selectedCount() {
+    return this.entries.filter(entry => entry.selected).length;
+  }
+
+  get pageCount() {
+    return Math.max(1, Math.ceil(this.view.length / this.pageSize));
+  }
+
+  /**
+   * Entries on the current page of the view
+   */
+  currentPage() {
+    return this.view.slice(this.page * this.pageSize, (this.page + 1) * this.pageSize);
+  }
+
+  /**
+   * Go to a page of the view (0-based, clamped)
+   */
+  goTo(page) {
+    this.page = Math.min(Math.max(page, 0), this.pageCount - 1);
+  }
+
+  /**
+   * Narrow the view to entries whose name, ID or domain contains the text
+   * (case-insensitive); an empty text shows every entry again.
+   * Returns the number of entries in the view.
+   */
+  search(text) {
+    this.query = text.trim();
+    const needle = this.query.toLowerCase();
+    this.view = needle ? this.entries.filter(entry => entry.text.toLowerCase().includes(needle)) : this.entries;
+    this.page = 0;
+    return this.view.length;
+  }
+
+  /**
+   * Flip the selection of entries by number. Returns the number flipped.
+   */
+  toggle(numbers) {
+    const unknown = numbers.filter(number => number < 1 || number > this.entries.length);
+    if (unknown.length > 0) {
+      throw new Error(`No entry ${unknown.join(', ')} (entries are 1-${this.entries.length})`);
+    }
+    for (const number of new Set(numbers)) {
+      const entry = this.entries[number - 1];
+      entry.selected = !entry.selected;
+    }
+    return new Set(numbers).size;
+  }
+
+  /**
+   * Include (selected = true) or exclude every entry whose name, ID or
+   * domain matches a regular expression (case-insensitive), or every entry
+   * in the view when pattern is empty. Returns the number that changed.
+   */
+  setMatching(pattern, selected) {
+    let entries = this.view;
+    if (pattern) {
+      let regex;
+      try {
+        regex = new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new Error(`Invalid pattern "${pattern}": ${error.message}`);
+      }
+      entries = this.entries.filter(entry => regex.test(entry.text));
+    }
+    const changed = entries.filter(entry => entry.selected !== selected);
+    changed.forEach(entry => { entry.selected = selected; });
+    return changed.length;
+  }
+
+  /**
+   * IDs of the selected entries
+   */
+  selectedIds() {
+    return this.entries.filter(entry => entry.selected).map(entry => entry.entity.id);
+  }
+
+  /**
+   * { selected, excluded } entities, in listing order
+   */
+  result() {
+    return {
+      selected: this.entries.filter(entry => entry.selected).map(entry => entry.entity),
+      excluded: this.entries.filter(entry => !entry.selected).map(entry => entry.entity)
+    };
+  }
+}
+
+/**
+ * Create a review of one phase's targets (see Review)
+ */
+export function createReview(entities, entityType, options) {
+  return new Review(entities, entityType, options);
+}
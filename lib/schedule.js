@@ -0,0 +1,199 @@
+/**
+ * Schedules for the watch command: a fixed interval or a five-field cron
+ * expression (minute hour day-of-month month day-of-week) evaluated in a
+ * timezone.
+ *
+ *   const schedule = createSchedule({ cron: '0 3 * * *', timeZone: 'Europe/Berlin' });
+ *   schedule.next(Date.now());   // ms timestamp of the next 03:00 in Berlin
+ *
+ * Cron fields accept *, numbers, ranges (1-5), steps (*\/15, 0-30/10), lists
+ * (1,15) and month/weekday names (jan, mon); @hourly, @daily, @weekly,
+ * @monthly and @yearly are shorthands. As in cron, when both day-of-month
+ * and day-of-week are restricted a day matching either one matches.
+ */
+
+import { parseDuration } from './filters.js';
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 7 is Sunday as well
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTE_MS = 60 * 1000;
+const SEARCH_HORIZON_MS = 5 * 366 * 24 * 60 * MINUTE_MS; // Expressions like "0 0 30 2 *" never match
+
+/**
+ * Parse one cron field into the set of values it allows
+ */
+function parseCronField(text, { name, min, max, names }) {
+  const toNumber = (value) => {
+    const index = names ? names.indexOf(value.toLowerCase()) : -1;
+    const number = index !== -1 ? index + (min === 1 ? 1 : 0) : Number(value);
+    if (!/^\d+$/.test(value) && index === -1) {
+      throw new Error(`Invalid ${name} "${value}"`);
+    }
+    if (number < min || number > max) {
+      throw new Error(`${name} ${value} is out of range (${min}-${max})`);
+    }
+    return number;
+  };
+
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${name} "${part}"`);
+    }
+
+    let from = min;
+    let to = max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = toNumber(start);
+      // "5/15" runs from 5 to the end of the range
+      to = end !== undefined ? toNumber(end) : (stepText === undefined ? from : max);
+      if (from > to) {
+        throw new Error(`Invalid ${name} range "${range}"`);
+      }
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (or an @macro)
+ */
+export function parseCron(expression) {
+  const text = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const fields = text.split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}" (expected 5 fields: minute hour day-of-month month day-of-week)`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => {
+    try {
+      return parseCronField(field, CRON_FIELDS[i]);
+    } catch (error) {
+      throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+    }
+  });
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // As in Vixie cron, a field starting with * (including */step) does not
+    // restrict the day, so "*/1 * 1" runs on Mondays only
+    daysRestricted: !fields[2].startsWith('*'),
+    weekdaysRestricted: !fields[4].startsWith('*')
+  };
+}
+
+const formatters = new Map();
+
+/**
+ * Local calendar fields of a timestamp in a timezone
+ */
+function localTime(timestamp, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(timestamp)) {
+    parts[type] = value;
+  }
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * First minute after `after` that matches the cron expression, in ms
+ */
+export function nextCronTime(cron, after, timeZone = 'UTC') {
+  let time = Math.floor(after / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const horizon = after + SEARCH_HORIZON_MS;
+
+  while (time <= horizon) {
+    const local = localTime(time, timeZone);
+    const dayMatches = cron.daysRestricted && cron.weekdaysRestricted
+      ? cron.days.has(local.day) || cron.weekdays.has(local.weekday)
+      : cron.days.has(local.day) && cron.weekdays.has(local.weekday);
+
+    if (!cron.months.has(local.month) || !dayMatches || !cron.hours.has(local.hour)) {
+      // Step to the next local hour (hour by hour, so DST changes are not skipped)
+      time += (60 - local.minute) * MINUTE_MS;
+    } else if (!cron.minutes.has(local.minute)) {
+      time += MINUTE_MS;
+    } else {
+      return time;
+    }
+  }
+
+  throw new Error(`Cron expression "${cron.expression}" never matches`);
+}
+
+/**
+ * Schedule from { interval } (a duration such as 1h) or { cron }.
+ * next(after) is the next run time after a timestamp; an interval counts
+ * from the previous run's start.
+ */
+export function createSchedule({ interval = null, cron = null, timeZone = 'UTC' }) {
+  if ((interval === null) === (cron === null)) {
+    throw new Error('A schedule needs either an interval or a cron expression');
+  }
+
+  if (interval !== null) {
+    const intervalMs = parseDuration(interval);
+    if (intervalMs < MINUTE_MS) {
+      throw new Error(`Interval ${interval} is too short (at least 1m)`);
+    }
+    return {
+      description: `every ${interval}`,
+      immediate: true,
+      next: (after) => after + intervalMs
+    };
+  }
+
+  const parsed = parseCron(cron);
+  // Fail now rather than at the first wake-up
+  nextCronTime(parsed, Date.now(), timeZone);
+  return {
+    description: `cron "${cron}" (${timeZone})`,
+    immediate: false,
+    next: (after) => nextCronTime(parsed, after, timeZone)
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * Seeder
+ * Creates synthetic organizations, users and memberships so the deleter can
+ * be tested against a tenant with a known shape. Like BulkDeleter it
+ * reports progress through events and never prints.
+ *
+ *   const seeder = createSeeder({ workos, organizations: 20, users: 100, tags: { team: 'qa' } });
+ *   seeder.on('created', ({ entityType, entity }) => log(entityType, entity.id));
+ *   await seeder.run();
+ *   writeSeedManifest('manifests/qa.json', seeder.manifest());
+ *
+ * Events (each listener receives one object):
+ *   phase-start     { entityType, total }       entityType: organization, user or membership
+ *   created         { entityType, entity }
+ *   failed          { entityType, item, error, status }
+ *   retry           { kind, attempt, maxAttempts, delayMs, error }
+ *   phase-complete  { entityType, results }
+ *
+ * The manifest lists every created ID as { organizations, users } and can be
+ * passed to --ids-file (or loadIdsFile) to delete the seeded data again.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { TokenBucketRateLimiter, executeWithRateLimit, getErrorStatus } from './rate-limiter.js';
+import { DEFAULT_LIMITS } from './bulk-deleter.js';
+
+export const DEFAULT_SEED_OPTIONS = {
+  organizationName: 'Seed Org {n}',
+  emailPattern: 'seed-{run}-{n}@{domain}',
+  emailDomains: ['example.com'],
+  membershipsPerUser: 1
+};
+
+/**
+ * Fill {n}, {run} and {domain} placeholders in a name or email pattern
+ */
+export function formatSeedPattern(pattern, values) {
+  return pattern.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * Path for a new seed manifest in directory
+ */
+export function newManifestPath(directory) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(directory, `seed-${timestamp}.json`);
+}
+
+/**
+ * Write a seed manifest as JSON
+ */
+export function writeSeedManifest(filePath, manifest) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * Seeder for organizations, users and memberships.
+ *
+ * Options:
+ *   workos              WorkOS client (required)
+ *   organizations       Number of organizations to create
+ *   users               Number of users to create
+ *   organizationName    Name pattern ({n} is 1-based, {run} the run ID)
+ *   emailPattern        Email pattern ({n}, {run}, {domain})
+ *   emailDomains        Domains assigned to users round-robin
+ *   membershipsPerUser  Organizations each user joins (round-robin)
+ *   tags                Metadata added to every organization and user,
+ *                       next to seedRun: <run ID>
+ *   limits              { organizations: { requestsPerMinute, concurrency },
+ *                         users: { requestsPerSecond, concurrency }, maxAttempts }
+ *   runId               Identifier for this run (default: a timestamp)
+ */
+export class Seeder extends EventEmitter {
+  constructor({ workos, organizations = 0, users = 0, tags = {}, limits = {}, runId = null, ...options } = {}) {
+    super();
+    if (!workos) {
+      throw new Error('createSeeder requires a WorkOS client (workos)');
+    }
+
+    this.workos = workos;
+    this.counts = { organizations, users };
+    this.options = { ...DEFAULT_SEED_OPTIONS, ...options };
+    this.runId = runId || new Date().toISOString().replace(/[-:.TZ]/g, '').slice(0, 14);
+    this.metadata = { seedRun: this.runId, ...tags };
+
+    if (!Number.isInteger(organizations) || organizations < 0 || !Number.isInteger(users) || users < 0) {
+      throw new Error('Organization and user counts must be non-negative integers');
+    }
+    if (this.options.emailDomains.length === 0) {
+      throw new Error('At least one email domain is required');
+    }
+    if (users > 1 && !this.options.emailPattern.includes('{n}')) {
+      throw new Error('The email pattern needs {n} so every user gets a unique email');
+    }
+    if (!Number.isInteger(this.options.membershipsPerUser) || this.options.membershipsPerUser < 0) {
+      throw new Error('Memberships per user must be a non-negative integer');
+    }
+    if (users > 0 && organizations > 0 && this.options.membershipsPerUser > organizations) {
+      throw new Error(`Users cannot join ${this.options.membershipsPerUser} organizations when only ${organizations} are created`);
+    }
+
+    this.limits = {
+      organizations: { ...DEFAULT_LIMITS.organizations, ...limits.organizations },
+      users: { ...DEFAULT_LIMITS.users, ...limits.users },
+      maxAttempts: limits.maxAttempts ?? DEFAULT_LIMITS.maxAttempts
+    };
+    this.rateLimiters = {
+      organization: new TokenBucketRateLimiter(this.limits.organizations.requestsPerMinute / 60),
+      user: new TokenBucketRateLimiter(this.limits.users.requestsPerSecond)
+    };
+
+    this.results = { organizations: null, users: null, memberships: null };
+    this.startedAt = null;
+  }
+
+  /**
+   * The organizations and users that would be created, without calling the API
+   */
+  plan() {
+    const { organizationName, emailPattern, emailDomains } = this.options;
+    const organizations = Array.from({ length: this.counts.organizations }, (_, i) => ({
+      n: i + 1,
+      name: formatSeedPattern(organizationName, { n: i + 1, run: this.runId })
+    }));
+    const users = Array.from({ length: this.counts.users }, (_, i) => ({
+      n: i + 1,
+      email: formatSeedPattern(emailPattern, { n: i + 1, run: this.runId, domain: emailDomains[i % emailDomains.length] }).toLowerCase()
+    }));
+    const memberships = organizations.length === 0 ? 0 : users.length * this.options.membershipsPerUser;
+    return { organizations, users, memberships };
+  }
+
+  /**
+   * Create organizations, then users, then memberships.
+   * Returns { organizations, users, memberships } with { successful, failed }
+   * for each; results so far stay available on this.results if a phase throws.
+   */
+  async run() {
+    this.startedAt = Date.now();
+    const plan = this.plan();
+
+    await this.createAll('organizations', plan.organizations, (item) =>
+      this.workos.organizations.createOrganization(
+        { name: item.name, metadata: this.metadata },
+        // Idempotency key keeps a retried create from making a second organization
+        { idempotencyKey: `seed-${this.runId}-org-${item.n}` }
+      ).then(org => ({ id: org.id, name: org.name }))
+    );
+
+    await this.createAll('users', plan.users, (item) =>
+      this.workos.userManagement.createUser({
+        email: item.email,
+        firstName: 'Seed',
+        lastName: `User ${item.n}`,
+        emailVerified: true,
+        metadata: this.metadata
+      })
+        .catch(error => this.findCreatedUser(item, error))
+        .then(user => ({ id: user.id, email: user.email }))
+    );
+
+    // Round-robin over the organizations that were created
+    const orgs = this.results.organizations.successful;
+    const memberships = [];
+    if (orgs.length > 0) {
+      this.results.users.successful.forEach((user, i) => {
+        const count = Math.min(this.options.membershipsPerUser, orgs.length);
+        for (let j = 0; j < count; j++) {
+          memberships.push({ userId: user.id, organizationId: orgs[(i + j) % orgs.length].id });
+        }
+      });
+    }
+
+    await this.createAll('memberships', memberships, (item) =>
+      this.workos.userManagement.createOrganizationMembership(item)
+        .then(membership => ({ id: membership.id, userId: item.userId, organizationId: item.organizationId }))
+    );
+
+    return { ...this.results };
+  }
+
+  /**
+   * User creates take no idempotency key: one retried after its response was
+   * lost fails as a duplicate email. Take the user this run created instead,
+   * so it still goes into the manifest; rethrow anything else.
+   */
+  async findCreatedUser(item, error) {
+    const status = getErrorStatus(error);
+    if (status !== 409 && status !== 422) {
+      throw error;
+    }
+    const { data } = await this.workos.userManagement.listUsers({ email: item.email });
+    const user = (data || []).find(user => user.metadata?.seedRun === this.runId);
+    if (!user) {
+      throw error;
+    }
+    return user;
+  }
+
+  /**
+   * Create the items of a phase with the rate limit and concurrency of its
+   * endpoint. Results are recorded on this.results as they come in.
+   */
+  async createAll(phase, items, create) {
+    const entityType = phase.slice(0, -1);
+    const results = { successful: [], failed: [] };
+    this.results[phase] = results;
+    this.emit('phase-start', { entityType, total: items.length });
+
+    const rateLimiter = entityType === 'organization' ? this.rateLimiters.organization : this.rateLimiters.user;
+    const concurrencyLimit = entityType === 'organization' ? this.limits.organizations.concurrency : this.limits.users.concurrency;
+    const processingQueue = [];
+
+    for (const item of items) {
+      // Wait if we've hit the concurrency limit (reduced while throttled)
+      while (processingQueue.length >= rateLimiter.scaleConcurrency(concurrencyLimit)) {
+        await Promise.race(processingQueue);
+      }
+
+      const creation = (async () => {
+        try {
+          const entity = await executeWithRateLimit(() => create(item), rateLimiter, {
+            maxAttempts: this.limits.maxAttempts,
+            onRetry: (retry) => this.emit('retry', retry)
+          });
+          results.successful.push(entity);
+          this.emit('created', { entityType, entity });
+        } catch (error) {
+          const status = getErrorStatus(error);
+          results.failed.push({ ...item, error: error.message, status });
+          this.emit('failed', { entityType, item, error, status });
+        }
+      })();
+
+      processingQueue.push(creation);
+      creation.finally(() => {
+        const index = processingQueue.indexOf(creation);
+        if (index > -1) {
+          processingQueue.splice(index, 1);
+        }
+      });
+    }
+
+    await Promise.all(processingQueue);
+    this.emit('phase-complete', { entityType, results });
+    return results;
+  }
+
+  /**
+   * Manifest of everything created so far. The organizations and users
+   * arrays make it a valid --ids-file.
+   */
+  manifest() {
+    const { organizations, users, memberships } = this.results;
+    return {
+      type: 'seed-manifest',
+      seedRun: this.runId,
+      startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      writtenAt: new Date().toISOString(),
+      parameters: {
+        organizations: this.counts.organizations,
+        users: this.counts.users,
+        organizationName: this.options.organizationName,
+        emailPattern: this.options.emailPattern,
+        emailDomains: this.options.emailDomains,
+        membershipsPerUser: this.options.membershipsPerUser,
+        metadata: this.metadata
+      },
+      organizations: organizations?.successful || [],
+      users: users?.successful || [],
+      memberships: memberships?.successful || [],
+      failed: ['organizations', 'users', 'memberships'].flatMap(phase =>
+        (this.results[phase]?.failed || []).map(failure => ({ phase, ...failure }))
+      )
+    };
+  }
+}
+
+/**
+ * Create a seeder (see Seeder for the options and events)
+ */
+export function createSeeder(options) {
+  return new Seeder(options);
+}
@@ -0,0 +1,72 @@
+/**
+ * Pre-deletion snapshots
+ * JSONL files holding the full objects about to be deleted, so deleted
+ * organizations can be recreated with the restore command.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Path for a new snapshot file in directory
+ */
+export function newSnapshotPath(directory) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(directory, `snapshot-${timestamp}.jsonl`);
+}
+
+/**
+ * Append the full objects about to be deleted to a snapshot file.
+ * Each line is { type, capturedAt, data } where data is the object exactly
+ * as returned by the list endpoint.
+ */
+export function appendSnapshot(filePath, entities, entityType) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const capturedAt = new Date().toISOString();
+  const lines = entities.map(entity => JSON.stringify({ type: entityType, capturedAt, data: entity }));
+  fs.appendFileSync(filePath, lines.join('\n') + '\n');
+}
+
+/**
+ * Read the entities of one type from a snapshot file
+ */
+export function readSnapshot(filePath, entityType) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Snapshot not found: ${filePath}`);
+  }
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`Invalid JSON on line ${index + 1} of ${filePath}`);
+      }
+    })
+    .filter(entry => entry.type === entityType)
+    .map(entry => entry.data);
+}
+
+/**
+ * Build createOrganization options from a snapshotted organization
+ */
+export function toCreateOrganizationOptions(org) {
+  const options = {
+    name: org.name,
+    domainData: (org.domains || []).map(domain => ({
+      domain: domain.domain,
+      state: domain.state === 'verified' || domain.state === 'legacy_verified' ? 'verified' : 'pending'
+    }))
+  };
+
+  if (org.externalId) {
+    options.externalId = org.externalId;
+  }
+  if (org.metadata && Object.keys(org.metadata).length > 0) {
+    options.metadata = org.metadata;
+  }
+
+  return options;
+}
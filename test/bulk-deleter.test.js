@@ -0,0 +1,238 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createBulkDeleter } from '../lib/bulk-deleter.js';
+import { createFakeWorkOS } from '../lib/fake-workos.js';
+import { RunJournal } from '../lib/journal.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fast enough that the tests never wait on a rate limiter
+const LIMITS = {
+  organizations: { requestsPerMinute: 600000, concurrency: 5 },
+  users: { requestsPerSecond: 10000, concurrency: 5 },
+  connections: { requestsPerSecond: 10000, concurrency: 5 },
+  directories: { requestsPerSecond: 10000, concurrency: 5 },
+  reads: { requestsPerSecond: 10000, concurrency: 5 }
+};
+
+/**
+ * Organizations org_01..org_<count>, org_<n> created n - 0.5 days ago,
+ * with an SSO connection and a directory on the first two
+ */
+function createFixture(count) {
+  const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+  const organizations = Array.from({ length: count }, (_, i) => ({
+    object: 'organization',
+    id: `org_${String(i + 1).padStart(2, '0')}`,
+    name: `Test Org ${i + 1}`,
+    domains: [],
+    createdAt: daysAgo(i + 0.5),
+    updatedAt: daysAgo(i + 0.5)
+  }));
+  const dependents = (prefix, object) => organizations.slice(0, 2).map((org, i) => ({
+    object,
+    id: `${prefix}_${i + 1}`,
+    organizationId: org.id,
+    name: `${org.name} ${object}`,
+    state: 'active',
+    createdAt: org.createdAt
+  }));
+  return { organizations, connections: dependents('conn', 'connection'), directories: dependents('directory', 'directory') };
+}
+
+/**
+ * Record the order of delete calls on a fake client as "<type>:<id>"
+ */
+function recordDeletes(workos) {
+  const calls = [];
+  const wrap = (api, method, type) => {
+    const original = api[method];
+    api[method] = async (id) => {
+      calls.push(`${type}:${id}`);
+      return original(id);
+    };
+  };
+  wrap(workos.organizations, 'deleteOrganization', 'organization');
+  wrap(workos.sso, 'deleteConnection', 'connection');
+  wrap(workos.directorySync, 'deleteDirectory', 'directory');
+  return calls;
+}
+
+function apiError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+describe('BulkDeleter against the fake backend', () => {
+  it('deletes the organizations that match the filter and keeps the rest', async () => {
+    const workos = createFakeWorkOS(createFixture(6));
+    const deleter = createBulkDeleter({ workos, filters: { expression: 'age > 3d' }, limits: LIMITS });
+
+    const { organizations } = await deleter.run();
+
+    assert.deepEqual(organizations.successful.map(org => org.id).sort(), ['org_04', 'org_05', 'org_06']);
+    assert.deepEqual(organizations.failed, []);
+    assert.deepEqual(workos.state().organizations.map(org => org.id).sort(), ['org_01', 'org_02', 'org_03']);
+  });
+
+  it('stops listing at the createdAt cutoff', async () => {
+    const workos = createFakeWorkOS(createFixture(250));
+    const deleter = createBulkDeleter({ workos, filters: { expression: 'age < 3d' }, limits: LIMITS, dryRun: true });
+    let listing;
+    deleter.on('listing-complete', (stats) => { listing = stats; });
+
+    const { organizations } = await deleter.run();
+
+    assert.equal(organizations.successful.length, 3);
+    assert.equal(listing.pages, 1);
+    assert.equal(listing.stoppedEarly, true);
+  });
+
+  it('never deletes protected organizations', async () => {
+    const workos = createFakeWorkOS(createFixture(3));
+    const deleter = createBulkDeleter({
+      workos,
+      filters: { expression: 'age > 0d', protected: { organizationIds: ['org_02'] } },
+      limits: LIMITS
+    });
+
+    const { organizations, skipped } = await deleter.run();
+
+    assert.deepEqual(organizations.successful.map(org => org.id).sort(), ['org_01', 'org_03']);
+    assert.deepEqual(skipped.protected.organization.map(org => org.id), ['org_02']);
+  });
+
+  it('retries rate limits and server errors until every deletion succeeds', async () => {
+    const workos = createFakeWorkOS(createFixture(10), { rateLimitRate: 0.2, serverErrorRate: 0.2, retryAfterSeconds: 0, seed: 7 });
+    const deleter = createBulkDeleter({ workos, filters: { expression: 'age > 0d' }, limits: { ...LIMITS, maxAttempts: 10 } });
+    const retries = [];
+    deleter.on('retry', (retry) => retries.push(retry.kind));
+
+    const { organizations } = await deleter.run();
+
+    assert.equal(organizations.successful.length, 10);
+    assert.deepEqual(organizations.failed, []);
+    assert.ok(retries.includes('rate-limit'));
+    assert.ok(retries.includes('transient'));
+    assert.equal(workos.state().organizations.length, 0);
+  });
+
+  it('reports a failure once the attempts run out', async () => {
+    const workos = createFakeWorkOS(createFixture(1));
+    workos.organizations.deleteOrganization = async () => {
+      throw Object.assign(apiError(429, 'Rate limit exceeded'), { retryAfter: 0 });
+    };
+    const deleter = createBulkDeleter({ workos, filters: { expression: 'age > 0d' }, limits: { ...LIMITS, maxAttempts: 3 } });
+    let attempts = 0;
+    deleter.on('retry', () => { attempts++; });
+
+    const { organizations } = await deleter.run();
+
+    assert.equal(attempts, 2);
+    assert.equal(organizations.failed.length, 1);
+    assert.equal(organizations.failed[0].status, 429);
+  });
+
+  it('counts an organization that is already gone as deleted', async () => {
+    const workos = createFakeWorkOS(createFixture(2));
+    const deleteOrganization = workos.organizations.deleteOrganization;
+    // Deleted by someone else between the listing and the delete call
+    workos.organizations.deleteOrganization = async (id) => {
+      await deleteOrganization(id);
+      throw apiError(404, `Could not find ${id}`);
+    };
+    const deleter = createBulkDeleter({ workos, filters: { expression: 'age > 0d' }, limits: LIMITS });
+
+    const { organizations } = await deleter.run();
+
+    assert.equal(organizations.successful.length, 2);
+    assert.ok(organizations.successful.every(org => org.alreadyDeleted));
+    assert.deepEqual(organizations.failed, []);
+  });
+
+  it('deletes dependents before their organization', async () => {
+    const workos = createFakeWorkOS(createFixture(3));
+    const calls = recordDeletes(workos);
+    const deleter = createBulkDeleter({
+      workos,
+      filters: { expression: 'age > 0d', connections: true, directories: true },
+      limits: LIMITS
+    });
+
+    const result = await deleter.run();
+
+    assert.equal(result.organizations.successful.length, 3);
+    assert.equal(result.connections.successful.length, 2);
+    assert.equal(result.directories.successful.length, 2);
+    for (const [org, connection, directory] of [['org_01', 'conn_1', 'directory_1'], ['org_02', 'conn_2', 'directory_2']]) {
+      const orgIndex = calls.indexOf(`organization:${org}`);
+      assert.ok(calls.indexOf(`connection:${connection}`) < orgIndex, `${connection} before ${org}`);
+      assert.ok(calls.indexOf(`directory:${directory}`) < orgIndex, `${directory} before ${org}`);
+    }
+  });
+
+  it('keeps an organization whose dependent could not be deleted', async () => {
+    const workos = createFakeWorkOS(createFixture(2));
+    workos.sso.deleteConnection = async (id) => {
+      if (id === 'conn_1') {
+        throw apiError(403, 'Forbidden');
+      }
+    };
+    const deleter = createBulkDeleter({ workos, filters: { expression: 'age > 0d', connections: true }, limits: LIMITS });
+
+    const { organizations, connections } = await deleter.run();
+
+    assert.deepEqual(connections.failed.map(connection => connection.id), ['conn_1']);
+    assert.deepEqual(organizations.successful.map(org => org.id), ['org_02']);
+    assert.deepEqual(organizations.failed.map(org => org.id), ['org_01']);
+    assert.match(organizations.failed[0].error, /conn_1 could not be deleted/);
+    assert.ok(workos.state().organizations.some(org => org.id === 'org_01'));
+  });
+});
+
+describe('BulkDeleter journal resume', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'delete-orgs-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('resumes a stopped run without deleting anything twice', async () => {
+    const workos = createFakeWorkOS(createFixture(8));
+    const calls = recordDeletes(workos);
+    const journalPath = path.join(directory, 'run.jsonl');
+    const filters = { expression: 'age > 2d' };
+
+    const first = createBulkDeleter({
+      workos,
+      filters,
+      limits: { ...LIMITS, organizations: { requestsPerMinute: 600000, concurrency: 1 } },
+      journal: RunJournal.create(journalPath, { filter: filters }),
+      budget: { deletions: 2 }
+    });
+    const stopped = await first.run();
+    assert.equal(stopped.stopped, 'limit');
+    assert.equal(stopped.organizations.successful.length, 2);
+
+    // Organizations created since are not picked up: the target set is journaled
+    await workos.organizations.createOrganization({ name: 'Created later' });
+
+    const resumeState = RunJournal.load(journalPath);
+    assert.equal(resumeState.phases.organizations.targets.length, 6);
+    assert.equal(resumeState.phases.organizations.succeeded.size, 2);
+
+    const resumed = createBulkDeleter({ workos, filters, limits: LIMITS, journal: new RunJournal(journalPath), resumeState });
+    const { organizations } = await resumed.run();
+
+    assert.equal(organizations.successful.length, 4);
+    assert.equal(calls.length, 6);
+    assert.equal(new Set(calls).size, 6);
+    assert.deepEqual(workos.state().organizations.map(org => org.id).sort(), ['org_01', 'org_02', 'org_sim000001']);
+  });
+});
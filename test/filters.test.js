@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFilterExpression, filterToString, compileFilter, getCreatedCutoff, parseDuration } from '../lib/filters.js';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function matches(expression, entity, entityType = 'organization') {
+  return compileFilter(parseFilterExpression(expression), 'UTC', NOW)(entity, entityType);
+}
+
+describe('parseFilterExpression', () => {
+  it('parses AND, OR, NOT and grouping and prints them back', () => {
+    const expression = 'age > 14d AND (email-domain = example.com OR NOT external-id ^= test-)';
+    assert.equal(filterToString(parseFilterExpression(expression)), expression);
+  });
+
+  it('rejects missing values', () => {
+    assert.throws(() => parseFilterExpression('age >'), /Expected a value/);
+  });
+});
+
+describe('compileFilter', () => {
+  const org = { id: 'org_1', name: 'Test Org', createdAt: new Date(NOW - 10 * DAY_MS).toISOString() };
+
+  it('compares ages against the run start', () => {
+    assert.equal(matches('age > 7d', org), true);
+    assert.equal(matches('age > 14d', org), false);
+  });
+
+  it('compares created dates by calendar day', () => {
+    assert.equal(matches('created <= 2026-10-09', org), true);
+    assert.equal(matches('created >= 2026-10-10', org), false);
+  });
+
+  it('rejects unknown fields and invalid durations', () => {
+    assert.throws(() => matches('colour = red', org), /Unknown filter field/);
+    assert.throws(() => matches('age > soon', org), /Invalid duration/);
+  });
+
+  it('never matches a field the entity does not have', () => {
+    assert.equal(matches('email ~ example', org), false);
+    assert.equal(matches('NOT email ~ example', org), true);
+  });
+
+  it('matches emails case-insensitively with quoted and literal regexes', () => {
+    const user = { id: 'user_1', email: 'jane@ACME.com', createdAt: org.createdAt };
+    assert.equal(matches('email ~ "@acme\\.com$"', user, 'user'), true);
+    assert.equal(matches('email ~ /@acme\\.com$/', user, 'user'), true);
+    assert.equal(matches('name ~ /^test/', org), false);
+    assert.equal(matches('name ~ /^test/i', org), true);
+  });
+
+  it('rejects the stateful g and y regex flags', () => {
+    assert.throws(() => matches('name ~ /test/g', org), /flags g and y/);
+    assert.throws(() => matches('name ~ /test/y', org), /flags g and y/);
+  });
+});
+
+describe('getCreatedCutoff', () => {
+  const cutoff = (expression) => getCreatedCutoff(parseFilterExpression(expression), NOW);
+
+  it('bounds the listing by a lower bound on createdAt', () => {
+    assert.equal(cutoff('age < 7d'), NOW - parseDuration('7d'));
+    const fromDate = cutoff('created >= 2026-10-01 AND name ^= Test');
+    assert.ok(fromDate <= Date.parse('2026-10-01T00:00:00Z'));
+    assert.ok(fromDate > Date.parse('2026-10-01T00:00:00Z') - DAY_MS);
+  });
+
+  it('has no cutoff when older records can still match', () => {
+    assert.equal(cutoff('age > 30d'), null);
+    assert.equal(cutoff('created >= 2026-10-01 OR name = x'), null);
+    assert.equal(cutoff('NOT age > 7d'), null);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadIdsFile, writeIdsFile, loadFailuresReport } from '../lib/id-lists.js';
+
+describe('ID lists', () => {
+  let directory;
+  const file = (name, content) => {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'delete-orgs-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('reads back what writeIdsFile writes', () => {
+    const filePath = path.join(directory, 'ids.json');
+    writeIdsFile(filePath, { organizations: ['org_1', 'org_2'], users: ['user_1'] });
+    const ids = loadIdsFile(filePath);
+    assert.deepEqual(ids.organizations, ['org_1', 'org_2']);
+    assert.deepEqual(ids.users, ['user_1']);
+    assert.deepEqual(ids.invalid, []);
+  });
+
+  it('reads plain ID lists and flags invalid entries', () => {
+    const ids = loadIdsFile(file('ids.txt', 'org_1\nuser_1\n\nnot-an-id\norg_1\n'));
+    assert.deepEqual(ids.organizations, ['org_1']);
+    assert.deepEqual(ids.users, ['user_1']);
+    assert.deepEqual(ids.invalid, ['not-an-id']);
+  });
+
+  describe('loadFailuresReport', () => {
+    const report = {
+      parameters: { dependents: ['connections'] },
+      phases: {
+        organizations: { failures: [{ id: 'org_1', name: 'A', status: 500, error: 'boom' }, { id: 'org_2', name: 'B', status: 404, error: 'gone' }] },
+        users: { failures: [{ id: 'user_1', name: 'jane@example.com', status: 503, error: 'unavailable' }] },
+        connections: { failures: [{ id: 'conn_1', name: 'SAML', status: 500, error: 'boom', organizationId: 'org_3' }] }
+      }
+    };
+
+    it('retries all but permanent failures, dependents through their organization', () => {
+      const ids = loadFailuresReport(file('report.json', JSON.stringify(report)), [403, 404]);
+      assert.deepEqual(ids.organizations, ['org_1', 'org_3']);
+      assert.deepEqual(ids.users, ['user_1']);
+      assert.equal(ids.retry.failures, 4);
+      assert.deepEqual(ids.retry.permanent.map(failure => failure.id), ['org_2']);
+      assert.deepEqual(ids.retry.notRetryable, []);
+      assert.deepEqual(ids.retry.dependents, ['connections']);
+      assert.deepEqual(ids.retry.dependentPhases, ['connections']);
+    });
+
+    it('lists dependents of a CSV report as not retryable', () => {
+      const csv = [
+        `# parameters: ${JSON.stringify(report.parameters)}`,
+        'phase,id,name,createdAt,result,httpStatus,error',
+        'organizations,org_1,A,,failed,500,boom',
+        'organizations,org_4,D,,deleted,,',
+        'connections,conn_1,SAML,,failed,500,boom'
+      ].join('\n');
+      const ids = loadFailuresReport(file('report.csv', csv), [403, 404]);
+      assert.deepEqual(ids.organizations, ['org_1']);
+      assert.deepEqual(ids.retry.notRetryable.map(failure => failure.id), ['conn_1']);
+      assert.deepEqual(ids.retry.dependents, ['connections']);
+      assert.deepEqual(ids.retry.dependentPhases, []);
+    });
+
+    it('rejects files that are not reports', () => {
+      assert.throws(() => loadFailuresReport(file('other.json', '{}'), []), /no phases/);
+      assert.throws(() => loadFailuresReport(path.join(directory, 'missing.json'), []), /Report not found/);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createBulkDeleter } from '../lib/bulk-deleter.js';
+import { createFakeWorkOS } from '../lib/fake-workos.js';
+import { loadListingCache, uncachedFilterFields } from '../lib/listing-cache.js';
+import { parseFilterExpression } from '../lib/filters.js';
+
+const LIMITS = {
+  organizations: { requestsPerMinute: 600000, concurrency: 5 },
+  reads: { requestsPerSecond: 10000, concurrency: 5 }
+};
+
+describe('Listing cache', () => {
+  let directory;
+  let cachePath;
+  let workos;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'delete-orgs-test-'));
+    cachePath = path.join(directory, 'cache.json');
+    // Four pages of organizations
+    workos = createFakeWorkOS({ generate: { organizations: 350, seed: 1 } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  async function run(expression, { dryRun = true, protectedList } = {}) {
+    const cache = loadListingCache(cachePath);
+    const callsBefore = workos.stats.calls;
+    const deleter = createBulkDeleter({ workos, filters: { expression, protected: protectedList }, limits: LIMITS, dryRun, listingCache: cache });
+    let listing;
+    deleter.on('listing-complete', (stats) => { listing = stats; });
+    const result = await deleter.run();
+    cache.save();
+    return { result, listing, calls: workos.stats.calls - callsBefore };
+  }
+
+  it('writes only IDs and createdAt', async () => {
+    await run('id = org_gen000001');
+    const saved = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    assert.equal(saved.types.organization.entities.length, 350);
+    assert.deepEqual(Object.keys(saved.types.organization.entities[0]).sort(), ['createdAt', 'id']);
+  });
+
+  it('lists what is new and fetches cached matches again by ID', async () => {
+    const first = await run('id = org_gen000001');
+    assert.equal(first.calls, 4);
+
+    const created = await workos.organizations.createOrganization({ name: 'Created later' });
+    const { result, listing, calls } = await run(`id = ${created.id} OR id = org_gen000001`);
+
+    assert.deepEqual(result.organizations.successful.map(org => org.id).sort(), [created.id, 'org_gen000001'].sort());
+    assert.equal(listing.cached, 1);
+    assert.equal(calls, 2);
+  });
+
+  it('checks the protected list against fresh data', async () => {
+    await run('id = org_gen000001');
+    await workos.organizations.updateOrganization({ organization: 'org_gen000001', domains: [{ domain: 'keep.example.com' }] });
+
+    const { result } = await run('id = org_gen000001', { protectedList: { domains: ['keep.example.com'] } });
+
+    assert.deepEqual(result.organizations.successful, []);
+    assert.deepEqual(result.skipped.protected.organization.map(org => org.id), ['org_gen000001']);
+  });
+
+  it('drops cached IDs that were deleted elsewhere', async () => {
+    await run('id = org_gen000002');
+    await workos.organizations.deleteOrganization('org_gen000002');
+
+    const { result } = await run('id = org_gen000002');
+
+    assert.deepEqual(result.organizations.successful, []);
+    assert.equal(loadListingCache(cachePath).count('organization'), 349);
+  });
+
+  it('lists in full when the filter reads other fields or matches too much', async () => {
+    await run('id = org_gen000001');
+
+    assert.equal((await run('name ^= Generated')).listing.pages, 4);
+    assert.equal((await run('NOT id = org_gen000001')).listing.pages, 4);
+  });
+
+  it('names the filter fields cached records cannot answer', () => {
+    assert.deepEqual(uncachedFilterFields(parseFilterExpression('age > 30d AND id != org_1')), []);
+    assert.deepEqual(uncachedFilterFields(parseFilterExpression('age > 30d AND name ^= Test')), ['name']);
+    assert.deepEqual(uncachedFilterFields(null), []);
+  });
+});
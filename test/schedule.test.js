@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronTime } from '../lib/schedule.js';
+
+// A Monday
+const AFTER = Date.parse('2026-10-19T12:00:00Z');
+
+function nextDays(expression, count = 3, timeZone = 'UTC') {
+  const cron = parseCron(expression);
+  const days = [];
+  let time = AFTER;
+  for (let i = 0; i < count; i++) {
+    time = nextCronTime(cron, time, timeZone);
+    days.push(new Date(time).toISOString().slice(0, 16));
+  }
+  return days;
+}
+
+describe('parseCron', () => {
+  it('expands macros, ranges, steps, lists and names', () => {
+    const cron = parseCron('*/15 9-17 1,15 jan-mar mon-fri');
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.equal(cron.hours.size, 9);
+    assert.deepEqual([...cron.days], [1, 15]);
+    assert.deepEqual([...cron.months], [1, 2, 3]);
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.deepEqual(parseCron('@daily').hours, new Set([0]));
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * *'), /expected 5 fields/);
+    assert.throws(() => parseCron('61 * * * *'));
+  });
+});
+
+describe('nextCronTime', () => {
+  it('finds the next matching minutes', () => {
+    assert.deepEqual(nextDays('30 3 * * *'), ['2026-10-20T03:30', '2026-10-21T03:30', '2026-10-22T03:30']);
+  });
+
+  it('matches either day field when both are restricted', () => {
+    assert.deepEqual(nextDays('0 3 1 * 1'), ['2026-10-26T03:00', '2026-11-01T03:00', '2026-11-02T03:00']);
+  });
+
+  it('treats a day field starting with * as unrestricted', () => {
+    assert.deepEqual(nextDays('0 3 */1 * 1'), ['2026-10-26T03:00', '2026-11-02T03:00', '2026-11-09T03:00']);
+  });
+
+  it('evaluates the expression in the given timezone', () => {
+    assert.deepEqual(nextDays('0 3 * * *', 1, 'America/New_York'), ['2026-10-20T07:00']);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSeeder } from '../lib/seeder.js';
+import { createFakeWorkOS } from '../lib/fake-workos.js';
+
+const LIMITS = {
+  organizations: { requestsPerMinute: 600000, concurrency: 5 },
+  users: { requestsPerSecond: 10000, concurrency: 5 }
+};
+
+describe('Seeder against the fake backend', () => {
+  it('creates organizations, users and memberships and lists them in the manifest', async () => {
+    const workos = createFakeWorkOS({});
+    const seeder = createSeeder({ workos, organizations: 2, users: 4, membershipsPerUser: 2, runId: 'run1', limits: LIMITS });
+
+    const results = await seeder.run();
+    const manifest = seeder.manifest();
+
+    assert.equal(results.organizations.successful.length, 2);
+    assert.equal(results.users.successful.length, 4);
+    assert.equal(results.memberships.successful.length, 8);
+    assert.equal(manifest.users.length, 4);
+    assert.deepEqual(manifest.failed, []);
+    assert.ok(workos.state().users.every(user => user.metadata.seedRun === 'run1'));
+  });
+
+  it('records a user whose create was retried after its response was lost', async () => {
+    const workos = createFakeWorkOS({});
+    const createUser = workos.userManagement.createUser;
+    const lost = new Set();
+    workos.userManagement.createUser = async (payload) => {
+      const user = await createUser(payload);
+      if (!lost.has(payload.email)) {
+        lost.add(payload.email);
+        throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+      }
+      return user;
+    };
+    // Taken by someone else before the run: still a failure
+    await createUser({ email: 'seed-run1-2@example.com', metadata: {} });
+    lost.add('seed-run1-2@example.com');
+
+    const seeder = createSeeder({ workos, users: 2, runId: 'run1', limits: LIMITS });
+    const results = await seeder.run();
+
+    assert.deepEqual(results.users.successful.map(user => user.email), ['seed-run1-1@example.com']);
+    assert.deepEqual(results.users.failed.map(failure => [failure.email, failure.status]), [['seed-run1-2@example.com', 422]]);
+    assert.equal(workos.state().users.length, 2);
+  });
+});